@@ -0,0 +1,127 @@
+// lib/acesso.js - IDS DE PEDIDO, TOKENS DE ACESSO E LINKS DE DOWNLOAD ASSINADOS
+//
+// - O orderId (e o id dos rascunhos) é aleatório: não dá para adivinhar
+//   pedidos vizinhos.
+// - Cada pedido tem um token secreto; só o hash SHA-256 fica no banco e o
+//   token em si só é devolvido na criação (vai na URL da pagamento.html).
+// - O download usa uma URL assinada com HMAC que expira em poucos minutos.
+
+const crypto = require('crypto');
+
+// Validade dos links de download (minutos)
+const DOWNLOAD_LINK_TTL = Number(process.env.DOWNLOAD_LINK_TTL || 15);
+
+let segredoDownload = process.env.DOWNLOAD_SECRET;
+if (!segredoDownload) {
+  // Em dev funciona sem configurar, mas os links deixam de valer a cada
+  // reinício do servidor.
+  console.warn('⚠️ DOWNLOAD_SECRET não configurado: usando um segredo temporário.');
+  segredoDownload = crypto.randomBytes(32).toString('hex');
+}
+
+function gerarId(prefixo) {
+  return `${prefixo}-${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+function gerarOrderId() {
+  return gerarId('ORD');
+}
+
+function gerarDraftId() {
+  return gerarId('DRF');
+}
+
+// Cópia do currículo adaptada a uma vaga (dentro do pedido)
+function gerarVariantId() {
+  return gerarId('VAR');
+}
+
+// Foto do currículo (lib/foto.js): o id aleatório é o que dá acesso a ela
+function gerarPhotoId() {
+  return gerarId('FOT');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Gera o token de acesso do pedido (ou rascunho): { token, hash }
+function gerarToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+function iguais(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function tokenConfere(order, token) {
+  if (!order?.accessTokenHash || !token) return false;
+  return iguais(order.accessTokenHash, hashToken(token));
+}
+
+// A versão para vaga e o idioma só entram na assinatura quando existem: os
+// links do currículo principal no idioma do pedido continuam iguais
+function assinatura(orderId, formato, expires, variantId, locale) {
+  const partes = [orderId, formato, expires];
+  if (variantId) partes.push(variantId);
+  if (locale) partes.push(`locale=${locale}`);
+  return crypto
+    .createHmac('sha256', segredoDownload)
+    .update(partes.join('.'))
+    .digest('base64url');
+}
+
+/**
+ * Caminho assinado para baixar o pedido em um formato ("pdf", "docx",
+ * "txt"). A assinatura cobre o formato, a versão para vaga e o idioma
+ * (opcionais): um link de PDF não baixa o DOCX nem outra versão.
+ * validadeMinutos: só para links enviados por e-mail, que precisam durar mais.
+ * @param {{ variantId?: string, locale?: string, validadeMinutos?: number }} [opcoes]
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function linkDownload(
+  orderId,
+  formato = 'pdf',
+  { variantId = null, locale = null, validadeMinutos = DOWNLOAD_LINK_TTL } = {}
+) {
+  const expires = Math.floor(Date.now() / 1000) + validadeMinutos * 60;
+  const sig = assinatura(orderId, formato, expires, variantId, locale);
+  const params = new URLSearchParams({ expires: String(expires), sig });
+  if (variantId) params.set('variant', variantId);
+  if (locale) params.set('locale', locale);
+  return {
+    url: `/api/order/${encodeURIComponent(orderId)}/${formato}?${params}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Confere a assinatura e a validade de um link de download.
+ * @returns {string|null} mensagem de erro ou null se o link for válido
+ */
+function verificarLink(orderId, formato, { expires, sig, variant, locale } = {}) {
+  const exp = Number(expires);
+  if (!exp || !sig) return 'Link de download inválido.';
+  if (!iguais(assinatura(orderId, formato, exp, variant, locale), sig)) {
+    return 'Link de download inválido.';
+  }
+  if (exp * 1000 < Date.now()) {
+    return 'Link de download expirado. Gere um novo na página do pedido.';
+  }
+  return null;
+}
+
+module.exports = {
+  gerarOrderId,
+  gerarDraftId,
+  gerarVariantId,
+  gerarPhotoId,
+  gerarToken,
+  hashToken,
+  tokenConfere,
+  linkDownload,
+  verificarLink
+};
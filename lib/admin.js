@@ -0,0 +1,173 @@
+// lib/admin.js - PAINEL ADMIN: SESSÕES, FILTROS DA LISTA DE PEDIDOS E CSV
+//
+// - O admin entra com o ADMIN_TOKEN uma vez (POST /api/admin/login) e recebe
+//   uma sessão de ADMIN_SESSION_HOURS horas, enviada no header
+//   "Authorization: Bearer <token>". Scripts podem mandar o próprio
+//   ADMIN_TOKEN no mesmo header. Nada de token na query string (vai parar
+//   em logs de proxy e no histórico do navegador).
+// - Como nas contas de cliente, só o hash do token da sessão fica no banco.
+
+const crypto = require('crypto');
+
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS || 12);
+
+// Paginação da lista de pedidos
+const POR_PAGINA_PADRAO = 25;
+const POR_PAGINA_MAX = 100;
+// Linhas do CSV, no máximo (o resto fica de fora; refine os filtros)
+const CSV_MAX = 5000;
+
+const DATA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function expiracaoSessaoAdmin(agora = new Date()) {
+  return new Date(agora.getTime() + ADMIN_SESSION_HOURS * 60 * 60 * 1000);
+}
+
+// Compara com o ADMIN_TOKEN em tempo constante. Sem ADMIN_TOKEN, nada entra.
+function tokenAdminConfere(token) {
+  const esperado = process.env.ADMIN_TOKEN;
+  if (!esperado || typeof token !== 'string' || !token) return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(esperado).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "2024-05-31" -> início do dia em UTC; fimDoDia = início do dia seguinte
+function lerData(valor, fimDoDia = false) {
+  if (!DATA_RE.test(valor || '')) return null;
+  const data = new Date(`${valor}T00:00:00Z`);
+  if (Number.isNaN(data.getTime())) return null;
+  if (fimDoDia) data.setUTCDate(data.getUTCDate() + 1);
+  return data;
+}
+
+// ?page=1&limit=25 -> { pagina, porPagina }, dentro dos limites
+function lerPaginacao(query = {}) {
+  return {
+    pagina: Math.max(Number.parseInt(query.page, 10) || 1, 1),
+    porPagina: Math.min(
+      Math.max(Number.parseInt(query.limit, 10) || POR_PAGINA_PADRAO, 1),
+      POR_PAGINA_MAX
+    )
+  };
+}
+
+/**
+ * Converte a query da lista de pedidos em filtro do Mongo e paginação.
+ * ?paid=true|false, ?from=AAAA-MM-DD, ?to=AAAA-MM-DD (inclusive),
+ * ?template=id, ?email=trecho, ?page=1, ?limit=25
+ * @param {object} query req.query
+ * @param {(id: string) => boolean} modeloExiste valida ?template=
+ * @returns {{ filtro: object, pagina: number, porPagina: number, erro: string|null }}
+ */
+function lerFiltrosPedidos(query = {}, modeloExiste = () => true) {
+  const filtro = {};
+  const { pagina, porPagina } = lerPaginacao(query);
+  const resultado = (erro) => ({ filtro, pagina, porPagina, erro });
+
+  if (query.paid === 'true' || query.paid === 'false') {
+    filtro.paid = query.paid === 'true';
+  } else if (query.paid) {
+    return resultado('Filtro "paid" deve ser true ou false.');
+  }
+
+  if (query.from || query.to) {
+    const de = query.from ? lerData(query.from) : null;
+    const ate = query.to ? lerData(query.to, true) : null;
+    if ((query.from && !de) || (query.to && !ate)) {
+      return resultado('Datas no formato AAAA-MM-DD.');
+    }
+    filtro.createdAt = {};
+    if (de) filtro.createdAt.$gte = de;
+    if (ate) filtro.createdAt.$lt = ate;
+  }
+
+  if (query.template) {
+    if (!modeloExiste(query.template)) return resultado('Modelo inválido.');
+    filtro.template = query.template;
+  }
+
+  const email = typeof query.email === 'string' ? query.email.trim().slice(0, 254) : '';
+  if (email) {
+    const trecho = new RegExp(escaparRegex(email), 'i');
+    filtro.$or = [{ email: trecho }, { 'data.dadosPessoais.email': trecho }];
+  }
+
+  return resultado(null);
+}
+
+/**
+ * Linha da lista do painel: o suficiente para a tabela, sem o currículo.
+ * @param {object} order pedido (lean)
+ */
+function resumoPedidoAdmin(order) {
+  const dadosPessoais = order.data?.dadosPessoais || {};
+  return {
+    orderId: order.orderId,
+    nome: dadosPessoais.nome || null,
+    email: order.email || dadosPessoais.email || null,
+    product: order.product,
+    template: order.template,
+    locale: order.locale || null,
+    price: order.price,
+    currency: order.currency,
+    couponCode: order.couponCode || null,
+    paid: Boolean(order.paid),
+    paymentStatus: order.paymentStatus,
+    paymentProvider: order.paymentProvider,
+    receiptStatus: order.receipt?.status || null,
+    downloadCount: order.downloadCount || 0,
+    createdAt: order.createdAt,
+    paidAt: order.paidAt || null
+  };
+}
+
+const CSV_COLUNAS = [
+  'orderId',
+  'nome',
+  'email',
+  'product',
+  'template',
+  'price',
+  'couponCode',
+  'paid',
+  'paymentStatus',
+  'paymentProvider',
+  'receiptStatus',
+  'downloadCount',
+  'createdAt',
+  'paidAt'
+];
+
+// Aspas quando preciso e apóstrofo antes de =, +, - e @ (o Excel executaria
+// o texto do cliente como fórmula)
+function celulaCsv(valor) {
+  if (valor === null || valor === undefined) return '';
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  if (/^[=+\-@]/.test(texto)) texto = `'${texto}`;
+  return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * CSV dos pedidos (linhas de resumoPedidoAdmin). Separador ";" e BOM, que
+ * é o que o Excel em português abre direto.
+ */
+function pedidosEmCsv(linhas) {
+  const corpo = linhas.map((linha) => CSV_COLUNAS.map((c) => celulaCsv(linha[c])).join(';'));
+  return `\uFEFF${[CSV_COLUNAS.join(';'), ...corpo].join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  CSV_MAX,
+  expiracaoSessaoAdmin,
+  tokenAdminConfere,
+  lerData,
+  lerPaginacao,
+  lerFiltrosPedidos,
+  resumoPedidoAdmin,
+  pedidosEmCsv
+};
@@ -0,0 +1,174 @@
+// lib/carta.js - CARTA DE APRESENTAÇÃO (segundo documento do pedido)
+//
+// A carta reaproveita dadosPessoais, objetivo e experiencias do currículo
+// do pedido; o cliente só informa a empresa, o destinatário, o cargo e,
+// se quiser, reescreve o texto (à mão ou com a IA, tarefa "carta").
+// No PDF, o cabeçalho é o mesmo do modelo escolhido (template.cabecalho).
+// Saudação, assunto, data e o texto sugerido saem no idioma do pedido.
+
+const { temItens, formatarPeriodo, cidadeEstado } = require('../templates/helpers');
+const { traduzir, dataPorExtenso, emAndamento } = require('./traducoes');
+
+// Campos da carta e tamanho máximo de cada um
+const CAMPOS = {
+  empresa: 120,
+  destinatario: 120,
+  cargo: 120,
+  corpo: 4000
+};
+
+/**
+ * Apara e valida os campos da carta enviados pelo cliente.
+ * @returns {{ carta: object, erros: Object<string, string>|null }}
+ */
+function validarCarta(bruto = {}) {
+  const erros = {};
+  const carta = {};
+
+  Object.entries(CAMPOS).forEach(([campo, max]) => {
+    const valor = bruto[campo] === undefined || bruto[campo] === null ? '' : bruto[campo];
+    if (typeof valor !== 'string') {
+      erros[campo] = 'Deve ser um texto.';
+      carta[campo] = '';
+      return;
+    }
+    carta[campo] = valor.trim();
+    if (carta[campo].length > max) {
+      erros[campo] = `Máximo de ${max} caracteres.`;
+    }
+  });
+
+  return { carta, erros: Object.keys(erros).length ? erros : null };
+}
+
+// "Analista na ACME (01/2020 - Atual)", "Analyst at ACME (Jan 2020 - Present)"
+function linhaExperiencia(exp, locale) {
+  const periodo = formatarPeriodo(exp.inicio, exp.fim, locale);
+  const funcao =
+    exp.cargo && exp.empresa
+      ? traduzir(locale, 'rotulos.cargoNaEmpresa', exp)
+      : exp.cargo || exp.empresa;
+  return funcao + (periodo ? ` (${periodo})` : '');
+}
+
+// Experiências com cargo ou empresa, na ordem do currículo
+function experienciasValidas(dados) {
+  return (temItens(dados.experiencias) ? dados.experiencias : []).filter(
+    (exp) => exp.cargo || exp.empresa
+  );
+}
+
+/**
+ * Experiências em tópicos, uma por linha, para o prompt da IA (tarefa
+ * "carta"): "- Analista na ACME (01/2020 - Atual): descrição".
+ */
+function resumoExperiencias(dados, locale) {
+  return experienciasValidas(dados)
+    .map((exp) => `- ${linhaExperiencia(exp, locale)}${exp.descricao ? `: ${exp.descricao}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Texto da carta montado só com os dados do currículo (sem IA): ponto de
+ * partida que o cliente edita.
+ * @param {object} dados currículo normalizado
+ * @param {{ empresa?: string, cargo?: string }} carta
+ * @param {string} [locale] idioma do pedido
+ */
+function corpoSugerido(dados, { empresa, cargo } = {}, locale) {
+  const t = (chave, valores) => traduzir(locale, `carta.${chave}`, valores);
+  const experiencias = experienciasValidas(dados);
+
+  const paragrafos = [
+    t('abertura', {
+      vaga: cargo ? t('vagaCargo', { cargo }) : t('vagaGenerica'),
+      empresa: empresa ? t('naEmpresa', { empresa }) : ''
+    })
+  ];
+
+  if (experiencias.length) {
+    const [atual, ...anteriores] = experiencias;
+    let trajetoria = t(emAndamento(atual.fim) ? 'atuo' : 'atuei', {
+      experiencia: linhaExperiencia(atual, locale)
+    });
+    if (anteriores.length) {
+      trajetoria += t('anteriores', {
+        experiencias: anteriores
+          .slice(0, 2)
+          .map((exp) => linhaExperiencia(exp, locale))
+          .join(t('e'))
+      });
+    }
+    paragrafos.push(`${trajetoria}. ${t('resultados')}`);
+  }
+
+  if (dados.objetivo?.texto) paragrafos.push(dados.objetivo.texto);
+
+  paragrafos.push(t('encerramento'));
+  return paragrafos.join('\n\n');
+}
+
+// "São Paulo, 19 de outubro de 2026" (ou "October 19, 2026" em inglês)
+function localEData(dadosPessoais, locale, data = new Date()) {
+  const dia = dataPorExtenso(data, locale);
+  const cidade = dadosPessoais?.cidade || cidadeEstado(dadosPessoais);
+  return cidade ? `${cidade}, ${dia}` : dia;
+}
+
+/**
+ * Desenha a carta no documento: cabeçalho do modelo, local e data,
+ * destinatário, texto e assinatura.
+ * @param {object} template modelo de templates/ (precisa de cabecalho())
+ * @param {object} dados currículo normalizado
+ * @param {object} carta campos de validarCarta (corpo vazio = sugerido)
+ * @param {{ locale?: string, corDestaque?: string|null }} [opcoes]
+ */
+function desenharCarta(doc, template, dados, carta = {}, { locale, corDestaque } = {}) {
+  const { dadosPessoais } = dados;
+  const t = (chave, valores) => traduzir(locale, `carta.${chave}`, valores);
+  const layout = template.cabecalho(doc, dados, { locale, corDestaque });
+  const texto = (conteudo, opcoes = {}) => {
+    doc.x = layout.x;
+    doc.text(conteudo, { width: layout.largura, align: 'left', ...opcoes });
+  };
+
+  doc.moveDown(0.6).font(layout.fonte).fontSize(10).fillColor(layout.cor);
+  texto(localEData(dadosPessoais, locale), { align: 'right' });
+  doc.moveDown(1.2);
+
+  if (carta.empresa) texto(carta.empresa);
+  if (carta.destinatario) texto(t('aosCuidados', carta));
+  if (carta.cargo) {
+    doc.moveDown(0.6).font(layout.fonteNegrito);
+    texto(t('assunto', carta));
+    doc.font(layout.fonte);
+  }
+  doc.moveDown(1.2);
+
+  texto(carta.destinatario ? t('saudacao', carta) : t('saudacaoGeral'));
+  doc.moveDown(0.8);
+
+  (carta.corpo || corpoSugerido(dados, carta, locale))
+    .split(/\n\s*\n/)
+    .map((paragrafo) => paragrafo.trim())
+    .filter(Boolean)
+    .forEach((paragrafo) => {
+      texto(paragrafo, { align: 'justify', lineGap: 2 });
+      doc.moveDown(0.8);
+    });
+
+  doc.moveDown(0.6);
+  texto(t('despedida'));
+  doc.moveDown(1.5).font(layout.fonteNegrito);
+  texto(dadosPessoais?.nome || '');
+
+  if (layout.fim) layout.fim();
+}
+
+module.exports = {
+  CAMPOS,
+  validarCarta,
+  corpoSugerido,
+  resumoExperiencias,
+  desenharCarta
+};
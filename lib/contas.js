@@ -0,0 +1,48 @@
+// lib/contas.js - CONTAS DE CLIENTE (login sem senha, por e-mail)
+//
+// - A conta é o e-mail do currículo (dadosPessoais.email): os pedidos feitos
+//   com esse e-mail aparecem no painel do cliente (conta.html).
+// - Login: link de uso único enviado por e-mail (LOGIN_LINK_TTL minutos),
+//   trocado por uma sessão de SESSION_TTL_DAYS dias. O front manda a sessão
+//   no header "Authorization: Bearer <token>".
+// - Como no acesso aos pedidos, só o hash dos tokens fica no banco.
+
+const { EMAIL_RE } = require('./curriculo');
+
+const LOGIN_LINK_TTL = Number(process.env.LOGIN_LINK_TTL || 15); // minutos
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+
+// Intervalo mínimo entre dois links para o mesmo e-mail (segundos)
+const LOGIN_INTERVALO = 60;
+
+function normalizarEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function emailValido(email) {
+  return email.length <= 254 && EMAIL_RE.test(email);
+}
+
+function expiracaoLogin(agora = new Date()) {
+  return new Date(agora.getTime() + LOGIN_LINK_TTL * 60 * 1000);
+}
+
+function expiracaoSessao(agora = new Date()) {
+  return new Date(agora.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Token da sessão enviado pelo front, ou null
+function lerBearer(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  LOGIN_LINK_TTL,
+  LOGIN_INTERVALO,
+  normalizarEmail,
+  emailValido,
+  expiracaoLogin,
+  expiracaoSessao,
+  lerBearer
+};
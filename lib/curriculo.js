@@ -0,0 +1,318 @@
+// lib/curriculo.js - SCHEMA CANÔNICO DO CURRÍCULO
+//
+// Fonte única da forma de `Order.data`. Toda entrada (criador, importações,
+// pedidos antigos) passa por aqui antes de ser gravada ou renderizada:
+//   - normalizarCurriculo(): aplica aliases legados, apara textos e remove
+//     blocos vazios, sem rejeitar nada (usado na leitura);
+//   - validarCurriculo(): normaliza e devolve os erros por campo (usado na
+//     escrita, a rota responde 422 com eles).
+
+const LIMITES = {
+  experiencias: 10,
+  formacoes: 10,
+  cursos: 20,
+  habilidades: 50,
+  idiomas: 10,
+  redesSociais: 10,
+  extras: 20,
+  secoesPersonalizadas: 5,
+  // por seção personalizada
+  itensPersonalizados: 10
+};
+
+// Campos de cada bloco e tamanho máximo de cada um
+const CAMPOS = {
+  dadosPessoais: {
+    nome: 120,
+    email: 254,
+    telefone: 30,
+    cidade: 80,
+    estado: 40,
+    linkedin: 300,
+    site: 300
+  },
+  objetivo: { texto: 1500 },
+  experiencias: {
+    cargo: 120,
+    empresa: 120,
+    inicio: 20,
+    fim: 20,
+    localidade: 80,
+    descricao: 3000
+  },
+  formacoes: { curso: 150, instituicao: 150, inicio: 20, fim: 20 },
+  cursos: { nome: 150, instituicao: 150, cargaHoraria: 6 },
+  idiomas: { nome: 60, nivel: 60 },
+  redesSociais: { rede: 40, url: 300 },
+  secoesPersonalizadas: { titulo: 60 },
+  itensPersonalizados: { nome: 150, inicio: 20, fim: 20, link: 300, descricao: 1500 }
+};
+
+const MAX_HABILIDADE = 60;
+const MAX_EXTRA = 500;
+
+// Nomes antigos ainda enviados por versões anteriores do front ou gravados
+// em pedidos antigos -> nome canônico.
+const ALIASES = {
+  formacao: 'formacoes'
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const TELEFONE_RE = /^\+?[\d\s().-]+$/;
+
+function texto(valor) {
+  if (valor === undefined || valor === null) return '';
+  if (typeof valor === 'number') return String(valor);
+  return typeof valor === 'string' ? valor.trim() : valor;
+}
+
+function blocoVazio(bloco) {
+  return Object.values(bloco).every((v) => v === '' || v === undefined);
+}
+
+// "linkedin.com/in/ana" -> "https://linkedin.com/in/ana"
+function normalizarUrl(valor) {
+  if (!valor || /^https?:\/\//i.test(valor)) return valor;
+  return `https://${valor}`;
+}
+
+function urlValida(valor) {
+  try {
+    const url = new URL(valor);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname.includes('.');
+  } catch (err) {
+    return false;
+  }
+}
+
+function telefoneValido(valor) {
+  const digitos = valor.replace(/\D/g, '');
+  return TELEFONE_RE.test(valor) && digitos.length >= 8 && digitos.length <= 15;
+}
+
+/**
+ * Lê um objeto com os campos de `CAMPOS[tipo]`, aparando textos e
+ * registrando erros de tipo/tamanho com o prefixo informado.
+ */
+function lerBloco(tipo, bruto, prefixo, erros) {
+  const bloco = {};
+  const origem = bruto && typeof bruto === 'object' && !Array.isArray(bruto) ? bruto : {};
+
+  if (bruto !== undefined && bruto !== null && origem !== bruto) {
+    erros[prefixo] = 'Formato inválido.';
+  }
+
+  Object.entries(CAMPOS[tipo]).forEach(([campo, max]) => {
+    const valor = texto(origem[campo]);
+    if (typeof valor !== 'string') {
+      erros[`${prefixo}.${campo}`] = 'Deve ser um texto.';
+      bloco[campo] = '';
+      return;
+    }
+    if (valor.length > max) {
+      erros[`${prefixo}.${campo}`] = `Máximo de ${max} caracteres.`;
+    }
+    bloco[campo] = valor;
+  });
+
+  return bloco;
+}
+
+/**
+ * Lê uma lista de blocos. Os erros usam o índice ORIGINAL do item (é o que
+ * o criador usa para achar o campo); blocos vazios são descartados depois.
+ * prefixo: caminho da lista nos erros, quando ela está dentro de outro
+ * bloco (ex.: "secoesPersonalizadas.0.itens").
+ */
+function lerLista(tipo, bruto, erros, validarItem, prefixo = tipo) {
+  if (bruto === undefined || bruto === null) return [];
+  if (!Array.isArray(bruto)) {
+    erros[prefixo] = 'Deve ser uma lista.';
+    return [];
+  }
+  if (bruto.length > LIMITES[tipo]) {
+    erros[prefixo] = `Máximo de ${LIMITES[tipo]} itens.`;
+  }
+
+  return bruto
+    .slice(0, LIMITES[tipo])
+    .map((item, idx) => {
+      const bloco = lerBloco(tipo, item, `${prefixo}.${idx}`, erros);
+      if (validarItem && !blocoVazio(bloco)) {
+        validarItem(bloco, `${prefixo}.${idx}`, erros);
+      }
+      return bloco;
+    })
+    .filter((bloco) => !blocoVazio(bloco));
+}
+
+// Campo de link de um bloco: completa o https:// e valida
+function validarLink(bloco, campo, prefixo, erros) {
+  bloco[campo] = normalizarUrl(bloco[campo]);
+  if (bloco[campo] && !urlValida(bloco[campo])) {
+    erros[`${prefixo}.${campo}`] = 'URL inválida.';
+  }
+}
+
+/**
+ * Seções criadas pelo cliente (Projetos, Certificações, Voluntariado...):
+ * { titulo, itens: [{ nome, inicio, fim, link, descricao }] }. Seção sem
+ * itens é descartada; com itens, precisa de título.
+ */
+function lerSecoesPersonalizadas(bruto, erros) {
+  if (bruto === undefined || bruto === null) return [];
+  if (!Array.isArray(bruto)) {
+    erros.secoesPersonalizadas = 'Deve ser uma lista.';
+    return [];
+  }
+  if (bruto.length > LIMITES.secoesPersonalizadas) {
+    erros.secoesPersonalizadas = `Máximo de ${LIMITES.secoesPersonalizadas} seções.`;
+  }
+
+  return bruto
+    .slice(0, LIMITES.secoesPersonalizadas)
+    .map((secao, idx) => {
+      const prefixo = `secoesPersonalizadas.${idx}`;
+      const { titulo } = lerBloco('secoesPersonalizadas', secao, prefixo, erros);
+      const itens = lerLista(
+        'itensPersonalizados',
+        secao?.itens,
+        erros,
+        (item, prefixoItem) => {
+          validarLink(item, 'link', prefixoItem, erros);
+          if (!item.nome) erros[`${prefixoItem}.nome`] = 'Informe o nome do item.';
+        },
+        `${prefixo}.itens`
+      );
+      if (itens.length && !titulo) erros[`${prefixo}.titulo`] = 'Dê um título à seção.';
+      return { titulo, itens };
+    })
+    .filter(({ itens }) => itens.length);
+}
+
+function lerHabilidades(bruto, erros) {
+  if (bruto === undefined || bruto === null) return [];
+  // Aceita também "Excel, SQL, Comunicação"
+  const lista = typeof bruto === 'string' ? bruto.split(',') : bruto;
+  if (!Array.isArray(lista)) {
+    erros.habilidades = 'Deve ser uma lista.';
+    return [];
+  }
+
+  const habilidades = lista.map(texto).filter((h) => h !== '');
+  if (habilidades.some((h) => typeof h !== 'string')) {
+    erros.habilidades = 'Cada habilidade deve ser um texto.';
+    return [];
+  }
+  if (habilidades.length > LIMITES.habilidades) {
+    erros.habilidades = `Máximo de ${LIMITES.habilidades} habilidades.`;
+  } else if (habilidades.some((h) => h.length > MAX_HABILIDADE)) {
+    erros.habilidades = `Cada habilidade pode ter no máximo ${MAX_HABILIDADE} caracteres.`;
+  }
+  return habilidades.slice(0, LIMITES.habilidades);
+}
+
+function lerExtras(bruto, erros) {
+  if (bruto === undefined || bruto === null) return [];
+  if (!Array.isArray(bruto)) {
+    erros.extras = 'Deve ser uma lista.';
+    return [];
+  }
+  const extras = bruto.map(texto).filter((e) => e !== '');
+  if (extras.some((e) => typeof e !== 'string')) {
+    erros.extras = 'Cada item deve ser um texto.';
+    return [];
+  }
+  if (extras.length > LIMITES.extras) {
+    erros.extras = `Máximo de ${LIMITES.extras} itens.`;
+  } else if (extras.some((e) => e.length > MAX_EXTRA)) {
+    erros.extras = `Cada item pode ter no máximo ${MAX_EXTRA} caracteres.`;
+  }
+  return extras.slice(0, LIMITES.extras);
+}
+
+function aplicarAliases(bruto) {
+  const dados = { ...bruto };
+  Object.entries(ALIASES).forEach(([antigo, novo]) => {
+    if (dados[novo] === undefined && dados[antigo] !== undefined) {
+      dados[novo] = dados[antigo];
+    }
+    delete dados[antigo];
+  });
+  // objetivo pode chegar como string simples
+  if (typeof dados.objetivo === 'string') {
+    dados.objetivo = { texto: dados.objetivo };
+  }
+  return dados;
+}
+
+function montar(bruto, erros) {
+  const dados = aplicarAliases(bruto && typeof bruto === 'object' ? bruto : {});
+
+  const dadosPessoais = lerBloco('dadosPessoais', dados.dadosPessoais, 'dadosPessoais', erros);
+  dadosPessoais.email = dadosPessoais.email.toLowerCase();
+  dadosPessoais.linkedin = normalizarUrl(dadosPessoais.linkedin);
+  dadosPessoais.site = normalizarUrl(dadosPessoais.site);
+
+  return {
+    dadosPessoais,
+    objetivo: lerBloco('objetivo', dados.objetivo, 'objetivo', erros),
+    experiencias: lerLista('experiencias', dados.experiencias, erros),
+    formacoes: lerLista('formacoes', dados.formacoes, erros),
+    cursos: lerLista('cursos', dados.cursos, erros, (curso, prefixo) => {
+      if (curso.cargaHoraria && !/^\d{1,5}$/.test(curso.cargaHoraria)) {
+        erros[`${prefixo}.cargaHoraria`] = 'Informe apenas o número de horas.';
+      }
+    }),
+    habilidades: lerHabilidades(dados.habilidades, erros),
+    idiomas: lerLista('idiomas', dados.idiomas, erros),
+    redesSociais: lerLista('redesSociais', dados.redesSociais, erros, (rede, prefixo) =>
+      validarLink(rede, 'url', prefixo, erros)
+    ),
+    extras: lerExtras(dados.extras, erros),
+    secoesPersonalizadas: lerSecoesPersonalizadas(dados.secoesPersonalizadas, erros)
+  };
+}
+
+// Normaliza sem validar: para dados já gravados (pedidos antigos).
+function normalizarCurriculo(bruto) {
+  return montar(bruto, {});
+}
+
+/**
+ * Normaliza e valida os dados enviados pelo cliente.
+ * @returns {{ dados: object, erros: Object<string, string>|null }}
+ */
+function validarCurriculo(bruto) {
+  const erros = {};
+  const dados = montar(bruto, erros);
+  const { nome, email, telefone, linkedin, site } = dados.dadosPessoais;
+
+  if (!nome) erros['dadosPessoais.nome'] = 'Informe o nome completo.';
+  if (!email) {
+    erros['dadosPessoais.email'] = 'Informe o e-mail.';
+  } else if (!erros['dadosPessoais.email'] && !EMAIL_RE.test(email)) {
+    erros['dadosPessoais.email'] = 'E-mail inválido.';
+  }
+  if (telefone && !erros['dadosPessoais.telefone'] && !telefoneValido(telefone)) {
+    erros['dadosPessoais.telefone'] = 'Telefone inválido.';
+  }
+  if (linkedin && !erros['dadosPessoais.linkedin'] && !urlValida(linkedin)) {
+    erros['dadosPessoais.linkedin'] = 'URL inválida.';
+  }
+  if (site && !erros['dadosPessoais.site'] && !urlValida(site)) {
+    erros['dadosPessoais.site'] = 'URL inválida.';
+  }
+
+  return {
+    dados,
+    erros: Object.keys(erros).length ? erros : null
+  };
+}
+
+module.exports = {
+  LIMITES,
+  EMAIL_RE,
+  normalizarCurriculo,
+  validarCurriculo
+};
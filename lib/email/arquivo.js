@@ -0,0 +1,83 @@
+// lib/email/arquivo.js - TRANSPORTE DE DESENVOLVIMENTO: grava arquivos .eml
+//
+// Cada mensagem vira um arquivo em MAIL_DIR (padrão: tmp/emails), que pode
+// ser aberto em qualquer cliente de e-mail.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'emails');
+
+const novaFronteira = () => `mc-${crypto.randomBytes(8).toString('hex')}`;
+
+// Texto e, se houver, HTML (multipart/alternative)
+function corpoEml(text, html) {
+  if (!html) return ['Content-Type: text/plain; charset=UTF-8', '', text];
+
+  const fronteira = novaFronteira();
+  return [
+    `Content-Type: multipart/alternative; boundary="${fronteira}"`,
+    '',
+    `--${fronteira}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    text,
+    `--${fronteira}`,
+    'Content-Type: text/html; charset=UTF-8',
+    '',
+    html,
+    `--${fronteira}--`
+  ];
+}
+
+// Anexo em base64, em linhas de 76 caracteres
+function parteAnexo({ filename, content, contentType }) {
+  return [
+    `Content-Type: ${contentType || 'application/octet-stream'}; name="${filename}"`,
+    `Content-Disposition: attachment; filename="${filename}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...(Buffer.from(content).toString('base64').match(/.{1,76}/g) || [])
+  ];
+}
+
+function montarEml({ from, to, subject, text, html, attachments }) {
+  const cabecalhos = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!attachments?.length) {
+    return [...cabecalhos, ...corpoEml(text, html)].join('\r\n');
+  }
+
+  const fronteira = novaFronteira();
+  return [
+    ...cabecalhos,
+    `Content-Type: multipart/mixed; boundary="${fronteira}"`,
+    '',
+    `--${fronteira}`,
+    ...corpoEml(text, html),
+    ...attachments.flatMap((anexo) => [`--${fronteira}`, ...parteAnexo(anexo)]),
+    `--${fronteira}--`
+  ].join('\r\n');
+}
+
+async function enviar(mensagem) {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+  const arquivo = path.join(
+    MAIL_DIR,
+    `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`
+  );
+  await fs.writeFile(arquivo, montarEml(mensagem));
+  console.log(`📧 E-mail para ${mensagem.to} gravado em ${arquivo}`);
+}
+
+module.exports = {
+  id: 'file',
+  enviar
+};
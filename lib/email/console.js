@@ -0,0 +1,20 @@
+// lib/email/console.js - TRANSPORTE DE DESENVOLVIMENTO: imprime no log
+
+async function enviar({ from, to, subject, text, attachments }) {
+  console.log(
+    [
+      '📧 E-mail (MAIL_TRANSPORT=console)',
+      `De: ${from}`,
+      `Para: ${to}`,
+      `Assunto: ${subject}`,
+      ...(attachments || []).map((a) => `Anexo: ${a.filename} (${a.content.length} bytes)`),
+      '',
+      text
+    ].join('\n')
+  );
+}
+
+module.exports = {
+  id: 'console',
+  enviar
+};
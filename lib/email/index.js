@@ -0,0 +1,80 @@
+// lib/email/index.js - ENVIO DE E-MAILS (transporte plugável)
+//
+// Todo transporte exporta:
+//   id                    valor de MAIL_TRANSPORT que o seleciona
+//   enviar({ from, to, subject, text, html, attachments })  -> Promise
+//                         attachments: [{ filename, content: Buffer, contentType }]
+//
+// MAIL_TRANSPORT=console (padrão) só imprime o e-mail no log; "file" grava
+// cada mensagem em MAIL_DIR. Os dois servem para desenvolvimento local.
+// Em produção, "smtp" (lib/email/smtp.js).
+
+const TRANSPORTES = [require('./console'), require('./arquivo'), require('./smtp')];
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MyCurrículo <nao-responda@mycurriculo.com>';
+
+// Novas tentativas quando o envio falha (ex.: SMTP fora do ar): até
+// MAIL_MAX_ATTEMPTS envios, esperando MAIL_RETRY_MS e dobrando a cada falha
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 3);
+const MAIL_RETRY_MS = Number(process.env.MAIL_RETRY_MS || 30000);
+
+function getTransporte() {
+  const id = process.env.MAIL_TRANSPORT || 'console';
+  const transporte = TRANSPORTES.find((t) => t.id === id);
+  if (!transporte) {
+    throw new Error(`MAIL_TRANSPORT desconhecido: "${id}".`);
+  }
+  return transporte;
+}
+
+/**
+ * Envia uma mensagem montada por lib/email/mensagens.js.
+ * @param {string} para destinatário
+ * @param {{ assunto: string, texto: string, html?: string, anexos?: object[] }} mensagem
+ */
+async function enviarEmail(para, { assunto, texto, html, anexos }) {
+  const transporte = getTransporte();
+  await transporte.enviar({
+    from: MAIL_FROM,
+    to: para,
+    subject: assunto,
+    text: texto,
+    html,
+    attachments: anexos?.length ? anexos : undefined
+  });
+}
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Como enviarEmail, mas tenta de novo em caso de falha. Nunca lança.
+ * aoTentar(tentativa, erro|null) é chamado depois de cada envio (para
+ * registrar o status).
+ * @returns {Promise<{ enviado: boolean, tentativas: number, erro?: string }>}
+ */
+async function enviarComRetentativas(
+  para,
+  mensagem,
+  { tentativas = MAIL_MAX_ATTEMPTS, esperaMs = MAIL_RETRY_MS, aoTentar } = {}
+) {
+  let erro = null;
+  for (let tentativa = 1; tentativa <= tentativas; tentativa += 1) {
+    try {
+      await enviarEmail(para, mensagem);
+      if (aoTentar) await aoTentar(tentativa, null);
+      return { enviado: true, tentativas: tentativa };
+    } catch (err) {
+      erro = err;
+      console.error(`Falha ao enviar e-mail para ${para} (tentativa ${tentativa}):`, err.message);
+      if (aoTentar) await aoTentar(tentativa, err);
+    }
+    if (tentativa < tentativas) await esperar(esperaMs * 2 ** (tentativa - 1));
+  }
+  return { enviado: false, tentativas, erro: erro.message };
+}
+
+module.exports = {
+  getTransporte,
+  enviarEmail,
+  enviarComRetentativas
+};
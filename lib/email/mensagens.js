@@ -0,0 +1,109 @@
+// lib/email/mensagens.js - TEXTOS DOS E-MAILS ENVIADOS AOS CLIENTES
+//
+// Cada função devolve { assunto, texto, html, anexos? } para lib/email/index.js.
+
+// Dados do cliente (nome...) entram no HTML como texto
+function escapar(texto) {
+  return String(texto).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+}
+
+function formatarValor(valor) {
+  return (valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+function html(titulo, paragrafos, botao) {
+  const corpo = paragrafos.map((p) => `<p style="margin:0 0 12px">${p}</p>`).join('');
+  const link = botao
+    ? `<p style="margin:20px 0"><a href="${botao.url}" style="background:#6366f1;color:#fff;padding:10px 18px;border-radius:999px;text-decoration:none;font-weight:600">${botao.texto}</a></p>`
+    : '';
+  return `<div style="font-family:Helvetica,Arial,sans-serif;font-size:14px;color:#0f172a;max-width:480px">
+<h2 style="font-size:18px;margin:0 0 16px">${titulo}</h2>${corpo}${link}
+<p style="margin:24px 0 0;font-size:12px;color:#64748b">MyCurrículo</p>
+</div>`;
+}
+
+/**
+ * Link de acesso à conta (login sem senha).
+ * @param {{ url: string, validadeMinutos: number }} dados
+ */
+function linkDeLogin({ url, validadeMinutos }) {
+  const validade = `O link vale por ${validadeMinutos} minutos e só pode ser usado uma vez.`;
+  const ignorar = 'Se não foi você que pediu, ignore este e-mail.';
+
+  return {
+    assunto: 'Seu link de acesso ao MyCurrículo',
+    texto: [
+      'Olá!',
+      '',
+      'Use o link abaixo para entrar na sua conta e ver seus currículos:',
+      url,
+      '',
+      validade,
+      ignorar
+    ].join('\n'),
+    html: html(
+      'Entrar no MyCurrículo',
+      ['Clique no botão abaixo para entrar na sua conta e ver seus currículos.', validade, ignorar],
+      { url, texto: 'Entrar na minha conta' }
+    )
+  };
+}
+
+/**
+ * Recibo enviado quando o pagamento do pedido é confirmado, com o PDF em
+ * anexo ou um link de download assinado.
+ * @param {{ nome?: string, orderId: string, produto: string, valor: number,
+ *   pagoEm: Date, anexo?: object, download?: { url: string, validadeHoras: number },
+ *   urlConta: string }} dados
+ */
+function recibo({ nome, orderId, produto, valor, pagoEm, anexo, download, urlConta }) {
+  const saudacao = nome ? `Olá, ${nome.split(' ')[0]}!` : 'Olá!';
+  const resumo = [
+    `Pedido: ${orderId}`,
+    `Produto: ${produto}`,
+    `Valor: ${formatarValor(valor)}`,
+    `Pago em: ${new Date(pagoEm).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })}`
+  ];
+  const entrega = anexo
+    ? 'Seu currículo em PDF vai em anexo.'
+    : `Baixe seu currículo em PDF pelo link abaixo, válido por ${download.validadeHoras} horas.`;
+  const conta =
+    'Para baixar de novo, em Word ou texto, ou editar o currículo, entre em "Minha conta" com este e-mail.';
+
+  return {
+    assunto: `Recibo do seu currículo - pedido ${orderId}`,
+    texto: [
+      saudacao,
+      '',
+      'Recebemos o pagamento do seu pedido. Obrigado pela compra!',
+      '',
+      ...resumo,
+      '',
+      entrega,
+      ...(download ? [download.url] : []),
+      '',
+      conta,
+      urlConta
+    ].join('\n'),
+    html: html(
+      'Pagamento confirmado',
+      [
+        escapar(saudacao),
+        'Recebemos o pagamento do seu pedido. Obrigado pela compra!',
+        resumo.map(escapar).join('<br>'),
+        entrega,
+        `${conta} <a href="${urlConta}">Acessar minha conta</a>.`
+      ],
+      download && { url: download.url, texto: 'Baixar currículo em PDF' }
+    ),
+    anexos: anexo ? [anexo] : undefined
+  };
+}
+
+module.exports = {
+  linkDeLogin,
+  recibo
+};
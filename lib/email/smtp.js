@@ -0,0 +1,34 @@
+// lib/email/smtp.js - TRANSPORTE SMTP (produção), via nodemailer
+//
+// SMTP_HOST, SMTP_PORT (padrão 587), SMTP_USER, SMTP_PASS e SMTP_SECURE=true
+// para conexão TLS direta (porta 465). Na 587 o STARTTLS é negociado sozinho.
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp exige SMTP_HOST.');
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+async function enviar({ from, to, subject, text, html, attachments }) {
+  await getTransporter().sendMail({ from, to, subject, text, html, attachments });
+}
+
+module.exports = {
+  id: 'smtp',
+  enviar
+};
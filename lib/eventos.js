@@ -0,0 +1,77 @@
+// lib/eventos.js - AVISOS DE MUDANÇA NO PEDIDO (SSE da pagamento.html)
+//
+// O webhook avisa aqui quando o pagamento de um pedido muda e as conexões
+// abertas em GET /api/order/:id/events releem o pedido na hora.
+// O aviso só vale dentro do processo: com várias instâncias, cada conexão
+// também confere o pedido a cada SSE_CHECK_MS (e o front tem polling).
+// Cada conexão custa uma consulta periódica ao banco: há um teto de conexões
+// por pedido e por IP, e cada uma dura no máximo SSE_MAX_MINUTES (o
+// EventSource reconecta sozinho).
+
+const { EventEmitter } = require('events');
+
+// Intervalo da conferência periódica (e do "ping" que mantém a conexão viva
+// em proxies que fecham conexões ociosas)
+const SSE_CHECK_MS = Number(process.env.SSE_CHECK_MS || 15000);
+const SSE_MAX_MS = Number(process.env.SSE_MAX_MINUTES || 30) * 60 * 1000;
+const SSE_MAX_PER_ORDER = Number(process.env.SSE_MAX_PER_ORDER || 5);
+const SSE_MAX_PER_IP = Number(process.env.SSE_MAX_PER_IP || 20);
+
+const barramento = new EventEmitter();
+// Uma conexão aberta = um ouvinte; o teto fica em abrirConexao
+barramento.setMaxListeners(0);
+
+// Conexões abertas por pedido e por IP (só deste processo)
+const abertasPorPedido = new Map();
+const abertasPorIp = new Map();
+
+function somar(mapa, chave, delta) {
+  const total = (mapa.get(chave) || 0) + delta;
+  if (total > 0) mapa.set(chave, total);
+  else mapa.delete(chave);
+}
+
+function avisarPedido(orderId) {
+  if (orderId) barramento.emit(orderId);
+}
+
+/**
+ * Chama fn a cada aviso do pedido.
+ * @returns {() => void} função que para de ouvir
+ */
+function ouvirPedido(orderId, fn) {
+  barramento.on(orderId, fn);
+  return () => barramento.off(orderId, fn);
+}
+
+/**
+ * Reserva uma conexão de status para o pedido e o IP.
+ * @returns {(() => void) | null} função que libera a vaga (pode ser chamada
+ *   mais de uma vez), ou null se o pedido ou o IP já estão no limite
+ */
+function abrirConexao({ orderId, ip }) {
+  if (
+    (abertasPorPedido.get(orderId) || 0) >= SSE_MAX_PER_ORDER ||
+    (abertasPorIp.get(ip) || 0) >= SSE_MAX_PER_IP
+  ) {
+    return null;
+  }
+  somar(abertasPorPedido, orderId, 1);
+  somar(abertasPorIp, ip, 1);
+
+  let liberada = false;
+  return () => {
+    if (liberada) return;
+    liberada = true;
+    somar(abertasPorPedido, orderId, -1);
+    somar(abertasPorIp, ip, -1);
+  };
+}
+
+module.exports = {
+  SSE_CHECK_MS,
+  SSE_MAX_MS,
+  avisarPedido,
+  ouvirPedido,
+  abrirConexao
+};
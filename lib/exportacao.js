@@ -0,0 +1,233 @@
+// lib/exportacao.js - EXPORTAÇÕES EDITÁVEIS DO CURRÍCULO (DOCX e TXT)
+//
+// Muitos portais pedem um arquivo do Word ou o texto puro para colar no
+// formulário. As duas saídas seguem a ordem e os títulos das seções do
+// modelo escolhido (template.secoes), como no PDF, mas sem colunas nem
+// cores: leitura linear, amigável para sistemas de triagem (ATS). Os títulos
+// e as datas saem no idioma pedido (lib/traducoes.js).
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  BorderStyle
+} = require('docx');
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  cidadeEstado,
+  titulosPorId
+} = require('../templates/helpers');
+const { traduzir } = require('./traducoes');
+const { ordenarSecoes } = require('./layout');
+
+// Formatos de download (o PDF é gerado por lib/pdf.js)
+const FORMATOS = {
+  pdf: { extensao: 'pdf', mime: 'application/pdf' },
+  docx: {
+    extensao: 'docx',
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  txt: { extensao: 'txt', mime: 'text/plain; charset=utf-8' }
+};
+
+function linhasContato(dadosPessoais = {}) {
+  return [
+    [cidadeEstado(dadosPessoais), dadosPessoais.email, dadosPessoais.telefone],
+    [dadosPessoais.linkedin, dadosPessoais.site]
+  ]
+    .map((linha) => linha.filter(Boolean).join(' | '))
+    .filter(Boolean);
+}
+
+/**
+ * Conteúdo de cada seção em blocos neutros, convertidos depois para DOCX ou
+ * TXT: { tipo: 'paragrafo' | 'item' | 'titulo' | 'detalhe', texto }.
+ * Retorna [] se a seção está vazia (e ela não aparece).
+ * Recebe os dados e o idioma (para as datas).
+ */
+const CONTEUDO = {
+  objetivo: ({ objetivo }) =>
+    objetivo?.texto ? [{ tipo: 'paragrafo', texto: objetivo.texto }] : [],
+
+  experiencias: ({ experiencias }, locale) =>
+    (temItens(experiencias) ? experiencias : [])
+      .filter((exp) => exp.cargo || exp.empresa)
+      .flatMap((exp) => {
+        const detalhe = [exp.localidade, formatarPeriodo(exp.inicio, exp.fim, locale)]
+          .filter(Boolean)
+          .join(' | ');
+        return [
+          { tipo: 'titulo', texto: [exp.cargo, exp.empresa].filter(Boolean).join(' - ') },
+          detalhe && { tipo: 'detalhe', texto: detalhe },
+          exp.descricao && { tipo: 'paragrafo', texto: exp.descricao }
+        ].filter(Boolean);
+      }),
+
+  formacoes: ({ formacoes }, locale) =>
+    (temItens(formacoes) ? formacoes : [])
+      .filter((f) => f.curso || f.instituicao)
+      .flatMap((f) => {
+        const detalhe = [f.instituicao, formatarPeriodo(f.inicio, f.fim, locale)]
+          .filter(Boolean)
+          .join(' — ');
+        return [
+          { tipo: 'titulo', texto: f.curso || f.instituicao },
+          f.curso && detalhe && { tipo: 'detalhe', texto: detalhe }
+        ].filter(Boolean);
+      }),
+
+  habilidades: ({ habilidades }) =>
+    (temItens(habilidades) ? habilidades : []).map((h) => ({ tipo: 'item', texto: h })),
+
+  cursos: ({ cursos }) =>
+    (temItens(cursos) ? cursos : [])
+      .filter((c) => c.nome || c.instituicao)
+      .map((c) => ({ tipo: 'item', texto: linhaCurso(c) })),
+
+  idiomas: ({ idiomas }) =>
+    (temItens(idiomas) ? idiomas : [])
+      .filter((i) => i.nome)
+      .map((i) => ({ tipo: 'item', texto: linhaIdioma(i) })),
+
+  extras: ({ extras }) =>
+    (temItens(extras) ? extras : []).map((extra) => ({ tipo: 'item', texto: extra })),
+
+  // O endereço vai inteiro: no Word e no texto puro, o link é o próprio texto
+  redesSociais: ({ redesSociais }) =>
+    (temItens(redesSociais) ? redesSociais : []).map((rede) => ({
+      tipo: 'item',
+      texto: [rede.rede, rede.url].filter(Boolean).join(': ')
+    }))
+};
+
+// Itens de uma seção personalizada (título dado pelo cliente)
+function blocosPersonalizados(secao, locale) {
+  return secao.itens.flatMap((item) => {
+    const detalhe = [formatarPeriodo(item.inicio, item.fim, locale), item.link]
+      .filter(Boolean)
+      .join(' | ');
+    return [
+      { tipo: 'titulo', texto: item.nome },
+      detalhe && { tipo: 'detalhe', texto: detalhe },
+      item.descricao && { tipo: 'paragrafo', texto: item.descricao }
+    ].filter(Boolean);
+  });
+}
+
+// [{ titulo, blocos }] na ordem do modelo (ou a do layout do pedido), só
+// com as seções preenchidas e visíveis
+function montarSecoes(template, dados, locale, layout) {
+  const titulos = titulosPorId(template.secoes || [], locale);
+  return ordenarSecoes(template.secoes || [], layout)
+    .flatMap(({ id }) => {
+      if (id === 'secoesPersonalizadas') {
+        return (dados.secoesPersonalizadas || []).map((secao) => ({
+          titulo: secao.titulo,
+          blocos: blocosPersonalizados(secao, locale)
+        }));
+      }
+      return CONTEUDO[id] ? [{ titulo: titulos[id], blocos: CONTEUDO[id](dados, locale) }] : [];
+    })
+    .filter(({ blocos }) => blocos.length);
+}
+
+/**
+ * Texto puro, pronto para colar em formulários de candidatura.
+ * @param {{ locale?: string, layout?: object }} [opcoes]
+ * @returns {string}
+ */
+function gerarTxt(template, dados, { locale, layout } = {}) {
+  const { dadosPessoais } = dados;
+  const linhas = [(dadosPessoais?.nome || '').toUpperCase(), ...linhasContato(dadosPessoais)];
+
+  montarSecoes(template, dados, locale, layout).forEach(({ titulo, blocos }) => {
+    linhas.push('', titulo.toUpperCase(), '-'.repeat(titulo.length));
+    blocos.forEach((bloco, idx) => {
+      // Linha em branco entre um item (experiência, formação) e o seguinte
+      if (bloco.tipo === 'titulo' && idx > 0) linhas.push('');
+      linhas.push(bloco.tipo === 'item' ? `- ${bloco.texto}` : bloco.texto);
+    });
+  });
+
+  return linhas.join('\r\n') + '\r\n';
+}
+
+const FONTE_DOCX = 'Arial';
+
+function paragrafoDocx({ tipo, texto }) {
+  if (tipo === 'item') {
+    return new Paragraph({ text: texto, bullet: { level: 0 } });
+  }
+  return new Paragraph({
+    spacing: { before: tipo === 'titulo' ? 160 : 0, after: 60 },
+    alignment: tipo === 'paragrafo' ? AlignmentType.JUSTIFIED : AlignmentType.LEFT,
+    children: [
+      new TextRun({
+        text: texto,
+        bold: tipo === 'titulo',
+        color: tipo === 'detalhe' ? '4B5563' : undefined
+      })
+    ]
+  });
+}
+
+/**
+ * Documento do Word (.docx) editável.
+ * @param {{ locale?: string, layout?: object }} [opcoes]
+ * @returns {Promise<Buffer>}
+ */
+function gerarDocx(template, dados, { locale, layout } = {}) {
+  const { dadosPessoais } = dados;
+
+  const cabecalho = [
+    new Paragraph({
+      heading: HeadingLevel.TITLE,
+      alignment: AlignmentType.CENTER,
+      children: [new TextRun({ text: dadosPessoais?.nome || '', bold: true, size: 32 })]
+    }),
+    ...linhasContato(dadosPessoais).map(
+      (linha) =>
+        new Paragraph({
+          alignment: AlignmentType.CENTER,
+          children: [new TextRun({ text: linha, size: 18, color: '4B5563' })]
+        })
+    )
+  ];
+
+  const secoes = montarSecoes(template, dados, locale, layout).flatMap(({ titulo, blocos }) => [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 280, after: 120 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: '9CA3AF', space: 2 } },
+      children: [new TextRun({ text: titulo.toUpperCase(), bold: true, size: 22 })]
+    }),
+    ...blocos.map(paragrafoDocx)
+  ]);
+
+  const doc = new Document({
+    creator: 'MyCurrículo',
+    title: `${traduzir(locale, 'rotulos.curriculo')} - ${dadosPessoais?.nome || ''}`,
+    styles: {
+      default: {
+        document: { run: { font: FONTE_DOCX, size: 20 } },
+        title: { run: { font: FONTE_DOCX, color: '000000' } },
+        heading1: { run: { font: FONTE_DOCX, color: '000000' } }
+      }
+    },
+    sections: [{ children: [...cabecalho, ...secoes] }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  FORMATOS,
+  gerarTxt,
+  gerarDocx
+};
@@ -0,0 +1,123 @@
+// lib/foto.js - FOTO DO CURRÍCULO (upload, recorte e uso nos modelos)
+//
+// O criador envia a imagem para POST /api/photo, antes de o pedido existir.
+// Aqui ela é validada pelo conteúdo (não pelo nome nem pelo Content-Type),
+// recortada no centro e reduzida a um quadrado de LADO_FOTO px em JPEG, sem
+// os metadados (EXIF com GPS etc.). O pedido guarda em Order.photo
+// { photoId, include, shape }: include é o "incluir foto" do criador e shape
+// o formato no PDF ('square' ou 'circle', recortado em fotoParaPdf()).
+// Só os modelos com suportaFoto desenham a foto (ver templates/index.js).
+
+const sharp = require('sharp');
+
+const MAX_FOTO_MB = 5;
+const LADO_FOTO = 400;
+// Imagens gigantes (ex.: 20000 x 20000) são recusadas antes de decodificar
+const MAX_PIXELS = 50 * 1000 * 1000;
+const FORMATOS = ['square', 'circle'];
+const PHOTO_ID_RE = /^FOT-[\w-]{16}$/;
+
+// Tipo pela assinatura do arquivo (primeiros bytes)
+function tipoDaImagem(conteudo) {
+  if (conteudo.length < 12) return null;
+  if (conteudo[0] === 0xff && conteudo[1] === 0xd8 && conteudo[2] === 0xff) return 'image/jpeg';
+  if (conteudo.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex'))) return 'image/png';
+  if (
+    conteudo.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    conteudo.subarray(8, 12).toString('latin1') === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Valida e normaliza a foto enviada: quadrado JPEG de LADO_FOTO px.
+ * @param {Buffer} conteudo corpo da requisição
+ * @returns {Promise<{ data?: Buffer, erro?: string }>}
+ */
+async function processarFoto(conteudo) {
+  if (!Buffer.isBuffer(conteudo) || !conteudo.length) {
+    return { erro: 'Envie uma foto em JPEG, PNG ou WebP.' };
+  }
+  if (conteudo.length > MAX_FOTO_MB * 1024 * 1024) {
+    return { erro: `A foto pode ter no máximo ${MAX_FOTO_MB} MB.` };
+  }
+  if (!tipoDaImagem(conteudo)) {
+    return { erro: 'Envie uma foto em JPEG, PNG ou WebP.' };
+  }
+
+  try {
+    const data = await sharp(conteudo, { limitInputPixels: MAX_PIXELS })
+      // Gira conforme o EXIF (foto de celular) antes de descartar os metadados
+      .rotate()
+      .resize(LADO_FOTO, LADO_FOTO, { fit: 'cover', position: 'centre' })
+      // PNG/WebP com transparência: fundo branco, como no papel
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+    return { data };
+  } catch (err) {
+    return { erro: 'Não foi possível ler a imagem. Tente outra foto.' };
+  }
+}
+
+/**
+ * Valida as opções de foto enviadas com o currículo (create-order, edição,
+ * prévia e rascunho). Sem "photo" (null/undefined), fica sem foto.
+ * @returns {{ foto: { photoId: string|null, include: boolean, shape: string }|null,
+ *   erro: string|null }}
+ */
+function validarOpcoesFoto(bruto) {
+  if (bruto === undefined || bruto === null) return { foto: null, erro: null };
+  if (typeof bruto !== 'object' || Array.isArray(bruto)) {
+    return { foto: null, erro: 'Foto inválida.' };
+  }
+
+  const { photoId, include, shape } = bruto;
+  if (photoId && (typeof photoId !== 'string' || !PHOTO_ID_RE.test(photoId))) {
+    return { foto: null, erro: 'Foto inválida.' };
+  }
+  if (shape && !FORMATOS.includes(shape)) {
+    return { foto: null, erro: 'Formato da foto inválido.' };
+  }
+
+  return {
+    foto: {
+      photoId: photoId || null,
+      // Enviou a foto e não desmarcou "incluir": entra no PDF
+      include: Boolean(photoId) && include !== false,
+      shape: shape || 'square'
+    },
+    erro: null
+  };
+}
+
+/**
+ * Foto pronta para o PDF no formato escolhido: o quadrado salvo ou um
+ * círculo (PNG com o fundo transparente).
+ * @param {Buffer} data foto de processarFoto()
+ * @param {string} [shape] 'square' | 'circle'
+ * @returns {Promise<Buffer>}
+ */
+async function fotoParaPdf(data, shape) {
+  if (shape !== 'circle') return data;
+
+  const raio = LADO_FOTO / 2;
+  const mascara = Buffer.from(
+    `<svg width="${LADO_FOTO}" height="${LADO_FOTO}">` +
+      `<circle cx="${raio}" cy="${raio}" r="${raio}" fill="#000"/></svg>`
+  );
+  return sharp(data)
+    .ensureAlpha()
+    .composite([{ input: mascara, blend: 'dest-in' }])
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  MAX_FOTO_MB,
+  processarFoto,
+  validarOpcoesFoto,
+  fotoParaPdf
+};
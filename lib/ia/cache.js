@@ -0,0 +1,48 @@
+// lib/ia/cache.js - CACHE EM MEMÓRIA DAS RESPOSTAS DA IA
+//
+// Prompt idêntico (mesma tarefa, mesmos dados) devolve a resposta guardada
+// sem nova chamada ao provedor. Fica na memória do processo: reiniciar o
+// servidor limpa o cache. As entradas mais antigas saem primeiro quando o
+// limite é atingido.
+
+const crypto = require('crypto');
+
+const TTL_MS = Number(process.env.IA_CACHE_TTL_MINUTES || 60 * 24) * 60 * 1000;
+const MAX_ENTRADAS = Number(process.env.IA_CACHE_MAX || 500);
+
+// chave -> { valor, expiraEm } (o Map mantém a ordem de inserção)
+const entradas = new Map();
+
+function chaveDo(...partes) {
+  return crypto.createHash('sha256').update(JSON.stringify(partes)).digest('hex');
+}
+
+function ler(chave) {
+  const entrada = entradas.get(chave);
+  if (!entrada) return null;
+  if (entrada.expiraEm <= Date.now()) {
+    entradas.delete(chave);
+    return null;
+  }
+  return entrada.valor;
+}
+
+function gravar(chave, valor) {
+  if (!TTL_MS || !MAX_ENTRADAS) return;
+  entradas.delete(chave);
+  entradas.set(chave, { valor, expiraEm: Date.now() + TTL_MS });
+  while (entradas.size > MAX_ENTRADAS) {
+    entradas.delete(entradas.keys().next().value);
+  }
+}
+
+function tamanho() {
+  return entradas.size;
+}
+
+module.exports = {
+  chaveDo,
+  ler,
+  gravar,
+  tamanho
+};
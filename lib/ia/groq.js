@@ -0,0 +1,40 @@
+// lib/ia/groq.js - PROVEDOR GROQ (modelos Llama, API no formato da OpenAI)
+
+const Groq = require('groq-sdk');
+
+let cliente = null;
+
+function disponivel() {
+  return Boolean(process.env.GROQ_API_KEY);
+}
+
+async function gerar({ sistema, prompt, temperatura, maxTokens, timeout }) {
+  // Criado só no primeiro uso: sem GROQ_API_KEY o servidor sobe normalmente
+  cliente = cliente || new Groq({ apiKey: process.env.GROQ_API_KEY });
+
+  const completion = await cliente.chat.completions.create(
+    {
+      model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+      messages: [
+        { role: 'system', content: sistema },
+        { role: 'user', content: prompt }
+      ],
+      temperature: temperatura,
+      max_tokens: maxTokens
+    },
+    // Sem novas tentativas aqui: o próximo provedor da lista é o fallback
+    { timeout, maxRetries: 0 }
+  );
+
+  return {
+    texto: completion.choices[0]?.message?.content?.trim() || '',
+    tokens: completion.usage?.total_tokens || 0
+  };
+}
+
+module.exports = {
+  id: 'groq',
+  nome: 'Groq',
+  disponivel,
+  gerar
+};
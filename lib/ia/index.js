@@ -0,0 +1,101 @@
+// lib/ia/index.js - REGISTRO DE PROVEDORES DE IA (textos sugeridos no criador)
+//
+// Todo provedor exporta:
+//   id, nome          identificação (o id vai para os contadores de uso)
+//   disponivel()      se pode ser usado com a configuração atual
+//   gerar({ sistema, prompt, temperatura, maxTokens, timeout, tarefa, dados })
+//                     -> { texto, tokens }
+//
+// IA_PROVIDERS=groq,openai escolhe os provedores e a ordem de tentativa: se
+// o primeiro falhar (erro ou timeout), tenta o seguinte. Sem a variável:
+// Groq e OpenAI (os que tiverem chave); o mock só se nenhum tiver chave (e
+// fora de produção), para uma falha da IA real não virar texto de teste.
+// Resposta do mock nunca vai para o cache.
+
+const { TAREFAS, lerDados, lerTopicos } = require('./tarefas');
+const cache = require('./cache');
+const limites = require('./limites');
+
+const PROVEDORES = [require('./groq'), require('./openai'), require('./mock')];
+
+const TIMEOUT_MS = Number(process.env.IA_TIMEOUT_MS || 15000);
+
+function getProvider(id) {
+  return PROVEDORES.find((p) => p.id === id) || null;
+}
+
+function provedoresConfigurados() {
+  const lista = (process.env.IA_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (lista.length) return lista;
+  const reais = PROVEDORES.filter((p) => p.id !== 'mock' && p.disponivel()).map((p) => p.id);
+  return reais.length ? reais : ['mock'];
+}
+
+// Provedores habilitados E disponíveis, na ordem configurada
+function listarProvedores() {
+  return provedoresConfigurados()
+    .map(getProvider)
+    .filter((p) => p && p.disponivel());
+}
+
+/**
+ * Gera o texto de uma tarefa (ver lib/ia/tarefas.js).
+ * @param {string} id tarefa, ex.: 'objetivo'
+ * @param {object} bruto campos enviados pelo criador
+ * @returns {Promise<{ texto?: string, provedor?: string, tokens?: number,
+ *   cache?: boolean, falhas: string[], erro?: string }>}
+ *   falhas: provedores que erraram antes da resposta (ou de desistir)
+ */
+async function gerarTexto(id, bruto) {
+  const tarefa = TAREFAS[id];
+  const dados = lerDados(tarefa, bruto);
+  const pedido = {
+    sistema: tarefa.sistema,
+    prompt: tarefa.montar(dados),
+    temperatura: tarefa.temperatura,
+    maxTokens: tarefa.maxTokens
+  };
+
+  const chave = cache.chaveDo(id, pedido);
+  const salvo = cache.ler(chave);
+  if (salvo) return { ...salvo, tokens: 0, cache: true, falhas: [] };
+
+  const provedores = listarProvedores();
+  if (!provedores.length) {
+    return { erro: 'Geração com IA indisponível no momento.', falhas: [] };
+  }
+
+  const falhas = [];
+  for (const provedor of provedores) {
+    try {
+      const { texto, tokens } = await provedor.gerar({
+        ...pedido,
+        timeout: TIMEOUT_MS,
+        tarefa,
+        dados
+      });
+      if (!texto) throw new Error('Resposta vazia.');
+
+      if (provedor.id !== 'mock') cache.gravar(chave, { texto, provedor: provedor.id });
+      return { texto, provedor: provedor.id, tokens, cache: false, falhas };
+    } catch (err) {
+      console.error(`Erro na IA (${provedor.id}, ${id}):`, err.message);
+      falhas.push(provedor.id);
+    }
+  }
+
+  return { erro: 'Não foi possível gerar o texto com IA. Tente novamente em instantes.', falhas };
+}
+
+module.exports = {
+  TAREFAS,
+  lerTopicos,
+  listarProvedores,
+  gerarTexto,
+  consumirLimite: limites.consumir,
+  tamanhoCache: cache.tamanho
+};
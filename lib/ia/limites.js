@@ -0,0 +1,63 @@
+// lib/ia/limites.js - LIMITE DE CHAMADAS À IA (por IP e por pedido)
+//
+// Janela fixa em memória: cada chave ("ip:...", "pedido:...") pode fazer
+// N chamadas por janela. Vale por processo; com várias instâncias, cada
+// uma conta separado.
+
+const LIMITE_IP = Number(process.env.IA_LIMIT_IP || 20); // por hora
+const LIMITE_PEDIDO = Number(process.env.IA_LIMIT_ORDER || 30); // por dia
+
+const HORA = 60 * 60 * 1000;
+const DIA = 24 * HORA;
+
+// chave -> { inicio, total }
+const janelas = new Map();
+
+function limparVencidas(agora) {
+  janelas.forEach((janela, chave) => {
+    if (agora - janela.inicio >= janela.duracao) janelas.delete(chave);
+  });
+}
+
+function janelaAtual(chave, duracao, agora) {
+  const janela = janelas.get(chave);
+  if (janela && agora - janela.inicio < duracao) return janela;
+  const nova = { inicio: agora, duracao, total: 0 };
+  janelas.set(chave, nova);
+  return nova;
+}
+
+/**
+ * Conta uma chamada do IP (e do pedido, quando informado). Só conta se
+ * nenhum dos limites estourou.
+ * @param {{ ip: string, orderId?: string }} origem
+ * @returns {number} 0 se liberado; senão, segundos até poder tentar de novo
+ */
+function consumir({ ip, orderId }) {
+  const agora = Date.now();
+  if (janelas.size > 10000) limparVencidas(agora);
+
+  const regras = [
+    [`ip:${ip}`, LIMITE_IP, HORA],
+    orderId && [`pedido:${orderId}`, LIMITE_PEDIDO, DIA]
+  ].filter(Boolean);
+
+  const atuais = regras.map(([chave, limite, duracao]) => ({
+    janela: janelaAtual(chave, duracao, agora),
+    limite
+  }));
+  const estouradas = atuais.filter(({ janela, limite }) => janela.total >= limite);
+  if (estouradas.length) {
+    const fim = Math.max(...estouradas.map(({ janela }) => janela.inicio + janela.duracao));
+    return Math.ceil((fim - agora) / 1000);
+  }
+
+  atuais.forEach(({ janela }) => {
+    janela.total += 1;
+  });
+  return 0;
+}
+
+module.exports = {
+  consumir
+};
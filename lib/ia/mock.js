@@ -0,0 +1,20 @@
+// lib/ia/mock.js - PROVEDOR DE TESTE (desenvolvimento local, sem chave de API)
+//
+// Responde na hora, sem rede, com um texto montado só a partir dos dados
+// enviados (sempre o mesmo para a mesma entrada). Nunca fica disponível
+// com NODE_ENV=production.
+
+function disponivel() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+async function gerar({ tarefa, dados }) {
+  return { texto: tarefa.mock(dados), tokens: 0 };
+}
+
+module.exports = {
+  id: 'mock',
+  nome: 'Respostas de teste (local)',
+  disponivel,
+  gerar
+};
@@ -0,0 +1,40 @@
+// lib/ia/openai.js - PROVEDOR OPENAI
+
+const OpenAI = require('openai');
+
+let cliente = null;
+
+function disponivel() {
+  return Boolean(process.env.OPENAI_API_KEY);
+}
+
+async function gerar({ sistema, prompt, temperatura, maxTokens, timeout }) {
+  // Criado só no primeiro uso: sem OPENAI_API_KEY o servidor sobe normalmente
+  cliente = cliente || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  const completion = await cliente.chat.completions.create(
+    {
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: sistema },
+        { role: 'user', content: prompt }
+      ],
+      temperature: temperatura,
+      max_tokens: maxTokens
+    },
+    // Sem novas tentativas aqui: o próximo provedor da lista é o fallback
+    { timeout, maxRetries: 0 }
+  );
+
+  return {
+    texto: completion.choices[0]?.message?.content?.trim() || '',
+    tokens: completion.usage?.total_tokens || 0
+  };
+}
+
+module.exports = {
+  id: 'openai',
+  nome: 'OpenAI',
+  disponivel,
+  gerar
+};
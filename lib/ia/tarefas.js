@@ -0,0 +1,199 @@
+// lib/ia/tarefas.js - PROMPTS DE CADA USO DA IA NO CRIADOR
+//
+// Toda tarefa exporta:
+//   sistema, temperatura, maxTokens    parâmetros da chamada
+//   montar(dados)  -> texto do prompt (dados já aparados por lerDados)
+//   mock(dados)    -> resposta determinística do provedor mock
+//   campos         campos aceitos de req.body (o resto é ignorado)
+//   tamanhos       opcional: máximo de caracteres por campo (padrão MAX_CAMPO)
+// O campo "locale" (idioma do currículo, lib/traducoes.js) decide o idioma
+// em que a IA responde nas tarefas que escrevem no currículo ou na carta.
+
+const { idiomaDoPrompt } = require('../traducoes');
+
+// Cada campo vai no prompt com no máximo N caracteres (custo e abuso)
+const MAX_CAMPO = 500;
+
+function lerDados(tarefa, bruto = {}) {
+  return Object.fromEntries(
+    tarefa.campos.map((campo) => {
+      const valor = bruto[campo];
+      const max = tarefa.tamanhos?.[campo] || MAX_CAMPO;
+      return [campo, typeof valor === 'string' ? valor.trim().slice(0, max) : ''];
+    })
+  );
+}
+
+// Resposta em tópicos ("- ...", "• ...", "1. ...") -> lista de textos
+function lerTopicos(texto, max) {
+  return texto
+    .split(/\r?\n/)
+    .map((linha) => linha.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, '').trim())
+    .filter((linha) => linha.length > 3 && !/:$/.test(linha))
+    .slice(0, max);
+}
+
+const objetivo = {
+  sistema: 'Você é um gerador de objetivos profissionais para currículos.',
+  temperatura: 0.7,
+  maxTokens: 200,
+  campos: ['cargo', 'nivel', 'area', 'experiencia', 'pontosExtras', 'resumoVaga', 'locale'],
+
+  montar: ({ cargo, nivel, area, experiencia, pontosExtras, resumoVaga, locale }) => `
+Você é um assistente especializado em criar descrições de "Objetivo Profissional" curtas, claras e profissionais para currículos.
+
+Gere um objetivo profissional em ${idiomaDoPrompt(locale)}, no máximo 3 linhas, com tom profissional, usando as informações abaixo (use apenas o que fizer sentido):
+
+- Cargo desejado: ${cargo || 'Não informado'}
+- Senioridade: ${nivel || 'Não informado'}
+- Área de atuação: ${area || 'Não informado'}
+- Experiência resumida: ${experiencia || 'Não informado'}
+- Pontos fortes / habilidades: ${pontosExtras || 'Não informado'}
+- Resumo da vaga ou contexto: ${resumoVaga || 'Não informado'}
+
+Regras:
+- Escreva em primeira pessoa ("Busco...", "Atuar como..."), no idioma pedido.
+- Não use frases genéricas demais.
+- Não repita muitas vezes o mesmo termo.
+- Responda apenas com o texto do objetivo, sem explicações adicionais.
+`,
+
+  mock: ({ cargo, nivel, area, experiencia, pontosExtras }) =>
+    [
+      `Busco atuar como ${[cargo, nivel].filter(Boolean).join(' ')}`,
+      area ? ` na área de ${area}` : '',
+      experiencia ? `, com ${experiencia} de experiência` : '',
+      pontosExtras ? `, contribuindo com ${pontosExtras}` : '',
+      '.'
+    ].join('')
+};
+
+const experiencia = {
+  sistema: 'Você reescreve experiências profissionais em tópicos de conquistas para currículos.',
+  temperatura: 0.5,
+  maxTokens: 350,
+  campos: ['cargo', 'empresa', 'descricao', 'locale'],
+  // A descrição do criador aceita até 3000 caracteres (lib/curriculo.js)
+  tamanhos: { descricao: 3000 },
+  // Tópicos devolvidos ao criador, no máximo
+  maxTopicos: 5,
+
+  montar: ({ cargo, empresa, descricao, locale }) => `
+Reescreva a experiência profissional abaixo como tópicos de currículo, em ${idiomaDoPrompt(locale)}.
+
+- Cargo: ${cargo || 'Não informado'}
+- Empresa: ${empresa || 'Não informado'}
+- Descrição escrita pelo candidato:
+${descricao || 'Não informada'}
+
+Regras:
+- Gere de 3 a 5 tópicos, um por linha, começando com "- ".
+- Cada tópico começa com um verbo de ação no passado ("Reduzi", "Implementei", "Liderei"), no idioma pedido.
+- No máximo 25 palavras por tópico, focando em resultado e impacto.
+- Onde couber um número que o candidato não informou, sugira a métrica entre colchetes, ex.: "[X%]", "[N clientes]". Nunca invente números como se fossem fatos.
+- Use só o que está na descrição; não invente tarefas nem tecnologias.
+- Responda apenas com os tópicos, sem título nem explicações.
+`,
+
+  mock: ({ cargo, descricao }) => {
+    const frases = (descricao || cargo || 'atividades da função')
+      .split(/[.;\n]+/)
+      .map((f) => f.replace(/^\s*[-•*]\s*/, '').trim())
+      .filter(Boolean);
+    while (frases.length < 3) frases.push(`Atuei como ${cargo || 'profissional'} com foco em resultado`);
+
+    return frases
+      .slice(0, 5)
+      .map((frase) => `- ${frase.charAt(0).toUpperCase()}${frase.slice(1)}, com ganho de [X%]`)
+      .join('\n');
+  }
+};
+
+const vaga = {
+  sistema: 'Você revisa currículos comparando-os com a descrição de uma vaga.',
+  temperatura: 0.4,
+  maxTokens: 400,
+  campos: ['vaga', 'curriculo', 'faltando', 'locale'],
+  // Texto da vaga e resumo do currículo montado pelo criador
+  tamanhos: { vaga: 4000, curriculo: 4000 },
+  maxTopicos: 5,
+
+  montar: ({ vaga: textoVaga, curriculo, faltando, locale }) => `
+Compare o currículo com a vaga abaixo e sugira ajustes no currículo, em ${idiomaDoPrompt(locale)}.
+
+Vaga:
+${textoVaga || 'Não informada'}
+
+Currículo (resumo):
+${curriculo || 'Não informado'}
+
+Palavras-chave da vaga que não aparecem no currículo: ${faltando || 'nenhuma'}
+
+Regras:
+- Gere de 3 a 5 sugestões, uma por linha, começando com "- ".
+- Cada sugestão diz o que mudar e em qual seção (Objetivo, Experiências, Habilidades...).
+- Só sugira incluir uma palavra-chave se o currículo indicar que o candidato tem aquela experiência; senão, sugira como destacar o que ele já tem.
+- Nunca invente experiências, empresas, números ou certificações.
+- Responda apenas com as sugestões, sem título nem explicações.
+`,
+
+  mock: ({ faltando }) => {
+    const termos = (faltando || '')
+      .split(',')
+      .map((t) => t.trim())
+      .filter(Boolean)
+      .slice(0, 3);
+    return [
+      ...termos.map((t) => `- Se você já trabalhou com ${t}, cite em Habilidades e numa experiência`),
+      '- Reescreva o objetivo citando o cargo da vaga',
+      '- Coloque primeiro as experiências mais ligadas à vaga'
+    ].join('\n');
+  }
+};
+
+const carta = {
+  sistema: 'Você escreve cartas de apresentação curtas para candidaturas a vagas.',
+  temperatura: 0.6,
+  maxTokens: 600,
+  campos: ['nome', 'cargo', 'empresa', 'destinatario', 'objetivo', 'experiencias', 'locale'],
+  // Experiências resumidas pelo servidor (cargo, empresa, período e descrição)
+  tamanhos: { objetivo: 1000, experiencias: 3000 },
+
+  montar: ({ nome, cargo, empresa, destinatario, objetivo: textoObjetivo, experiencias, locale }) => `
+Escreva o corpo de uma carta de apresentação em ${idiomaDoPrompt(locale)} para a candidatura abaixo.
+
+- Candidato: ${nome || 'Não informado'}
+- Vaga: ${cargo || 'Não informada'}
+- Empresa: ${empresa || 'Não informada'}
+- Destinatário: ${destinatario || 'Não informado'}
+- Objetivo profissional: ${textoObjetivo || 'Não informado'}
+- Experiências:
+${experiencias || 'Não informadas'}
+
+Regras:
+- De 3 a 4 parágrafos curtos, separados por uma linha em branco, em primeira pessoa.
+- Sem saudação, despedida nem assinatura: elas já fazem parte da carta.
+- Cite de 1 a 2 experiências que combinem com a vaga.
+- Nunca invente experiências, empresas, números ou certificações.
+- Responda apenas com o texto dos parágrafos.
+`,
+
+  mock: ({ cargo, empresa, experiencias }) => {
+    const primeira = (experiencias || '').split('\n')[0].replace(/^\s*-\s*/, '').split(':')[0].trim();
+    return [
+      `Gostaria de me candidatar à vaga de ${cargo || 'profissional'}${empresa ? ` na ${empresa}` : ''}.`,
+      primeira
+        ? `Minha experiência mais recente foi como ${primeira}, onde desenvolvi resultados que posso trazer para o time.`
+        : 'Tenho interesse em contribuir com o time e crescer junto com a empresa.',
+      'Fico à disposição para uma conversa e agradeço a atenção.'
+    ].join('\n\n');
+  }
+};
+
+const TAREFAS = { objetivo, experiencia, vaga, carta };
+
+module.exports = {
+  TAREFAS,
+  lerDados,
+  lerTopicos
+};
@@ -0,0 +1,335 @@
+// lib/importacao.js - IMPORTAÇÃO DE CURRÍCULO A PARTIR DE ARQUIVOS
+//
+// Preenche o criador a partir de:
+//   - JSON Resume (.json), convertido por lib/jsonresume.js;
+//   - PDF com texto, em especial o "Salvar como PDF" do perfil do LinkedIn
+//     (em português ou inglês). PDFs escaneados (só imagem) não têm texto
+//     para extrair.
+// A leitura do PDF é heurística: o resultado sempre passa por
+// normalizarCurriculo() e o cliente revisa tudo no formulário.
+
+const path = require('path');
+const { deJsonResume, eJsonResume } = require('./jsonresume');
+const { normalizarCurriculo } = require('./curriculo');
+
+// Mesmo limite checado no criador antes do envio
+const MAX_PDF_MB = 5;
+
+// Títulos das seções do PDF do LinkedIn (pt e en) -> seção
+const SECOES_LINKEDIN = {
+  contato: 'contato',
+  contact: 'contato',
+  'principais competências': 'habilidades',
+  'top skills': 'habilidades',
+  idiomas: 'idiomas',
+  languages: 'idiomas',
+  certificações: 'cursos',
+  certifications: 'cursos',
+  'honors-awards': 'ignorar',
+  'prêmios e distinções': 'ignorar',
+  publicações: 'ignorar',
+  publications: 'ignorar',
+  patentes: 'ignorar',
+  patents: 'ignorar',
+  resumo: 'resumo',
+  summary: 'resumo',
+  sobre: 'resumo',
+  about: 'resumo',
+  experiência: 'experiencias',
+  experience: 'experiencias',
+  'formação acadêmica': 'formacoes',
+  education: 'formacoes'
+};
+
+// Seções da coluna principal: o nome, o título e a localidade vêm logo antes
+const SECOES_PRINCIPAIS = ['resumo', 'experiencias', 'formacoes'];
+
+const MESES = {
+  jan: '01', fev: '02', feb: '02', mar: '03', abr: '04', apr: '04',
+  mai: '05', may: '05', jun: '06', jul: '07', ago: '08', aug: '08',
+  set: '09', sep: '09', out: '10', oct: '10', nov: '11', dez: '12', dec: '12'
+};
+
+const EMAIL_RE = /[^\s@()]+@[^\s@()]+\.[a-z]{2,}/i;
+const LINKEDIN_RE = /(?:www\.)?linkedin\.com\/in\/[^\s()]+/i;
+const TELEFONE_RE = /(?:\+\d{1,3}\s?)?\(?\d{2,3}\)?[\s.-]?\d{4,5}[\s.-]?\d{4}/;
+const ATUAL_RE = /^(present|presente|o momento|atual|current)$/i;
+// "janeiro de 2020 - Present (3 anos 2 meses)", "2018 - 2020", "Jan 2019 - Dec 2021"
+const DATA_LINHA_RE =
+  /^((?:[a-zç]+\.?\s+(?:de\s+)?)?\d{4})\s*[-–]\s*((?:[a-zç]+\.?\s+(?:de\s+)?)?\d{4}|[a-z ]+?)\s*(\(.*\))?$/i;
+// "3 anos 2 meses", "1 year", "10 months" (duração total na mesma empresa)
+const DURACAO_RE = /^(\d+\s+(anos?|years?|m[eê]s(es)?|months?)\s*)+$/i;
+const PAGINA_RE = /^(page|página)\s+\d+\s+(of|de)\s+\d+$/i;
+
+// "janeiro de 2020" -> "01/2020", "2020" -> "2020", "Present" -> "Atual"
+function converterData(valor) {
+  const v = (valor || '').trim();
+  if (!v) return '';
+  if (ATUAL_RE.test(v)) return 'Atual';
+  const m = v.match(/^([a-zç]+)\.?\s+(?:de\s+)?(\d{4})$/i);
+  if (m) {
+    const mes = MESES[m[1].slice(0, 3).toLowerCase()];
+    return mes ? `${mes}/${m[2]}` : m[2];
+  }
+  return v;
+}
+
+function linhasDoTexto(texto) {
+  return texto
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+/g, ' ').trim())
+    .filter((l) => l && !PAGINA_RE.test(l));
+}
+
+// Texto corrido: junta as linhas quebradas pelo PDF, mantendo os tópicos
+function juntarParagrafo(linhas) {
+  return linhas
+    .reduce((acc, linha) => {
+      const novoItem = /^[-•·*]\s/.test(linha);
+      if (!acc.length || novoItem) acc.push(linha.replace(/^[•·*]\s/, '- '));
+      else acc[acc.length - 1] += ` ${linha}`;
+      return acc;
+    }, [])
+    .join('\n');
+}
+
+// { secao: [linhas] } na ordem em que aparecem; o que vem antes do primeiro
+// título fica em "inicio"
+function separarSecoes(linhas) {
+  const secoes = [{ id: 'inicio', linhas: [] }];
+  linhas.forEach((linha) => {
+    const id = SECOES_LINKEDIN[linha.toLowerCase()];
+    if (id) secoes.push({ id, linhas: [] });
+    else secoes[secoes.length - 1].linhas.push(linha);
+  });
+  return secoes;
+}
+
+// Nome, título (headline) e localidade: últimas linhas antes da primeira
+// seção principal, depois do conteúdo da coluna lateral
+function extrairCabecalho(secoes) {
+  const idx = secoes.findIndex((s) => SECOES_PRINCIPAIS.includes(s.id));
+  const anterior = secoes[idx > 0 ? idx - 1 : secoes.length - 1];
+  const linhas = anterior.linhas;
+
+  let localidade = '';
+  if (linhas.length >= 3 && /,/.test(linhas[linhas.length - 1])) {
+    localidade = linhas.pop();
+  }
+  // O nome vem logo antes do título (headline), que pode quebrar em mais
+  // de uma linha; antes do nome ainda é conteúdo da coluna lateral
+  let nome = '';
+  for (let i = linhas.length - 2; i >= Math.max(0, linhas.length - 4); i -= 1) {
+    if (/^[A-ZÀ-Ý][\p{L}'.-]*(\s+[\p{L}'.-]+){0,5}$/u.test(linhas[i]) && linhas[i].length <= 60) {
+      nome = linhas[i];
+      linhas.splice(i);
+      break;
+    }
+  }
+
+  const [cidade, estado] = localidade.split(',').map((p) => p.trim());
+  return { nome, cidade: cidade || '', estado: estado || '' };
+}
+
+function lerContato(linhas) {
+  const texto = linhas.join(' ');
+  // O PDF do LinkedIn quebra URLs longas: "linkedin.com/in/maria-" + "silva (LinkedIn)"
+  const idx = linhas.findIndex((l) => LINKEDIN_RE.test(l));
+  let linkedin = idx >= 0 ? linhas[idx] : '';
+  if (linkedin && !/\(linkedin\)$/i.test(linkedin) && /\(linkedin\)$/i.test(linhas[idx + 1] || '')) {
+    linkedin += linhas[idx + 1];
+  }
+  const site = linhas
+    .filter((l) => !LINKEDIN_RE.test(l) && !EMAIL_RE.test(l))
+    .map((l) => l.match(/^((?:https?:\/\/)?(?:www\.)?[\w-]+(?:\.[\w-]+)+(?:\/\S*)?)(?:\s*\(.*\))?$/i))
+    .find(Boolean);
+
+  return {
+    email: (texto.match(EMAIL_RE) || [''])[0],
+    telefone: (texto.match(TELEFONE_RE) || [''])[0],
+    linkedin: (linkedin.replace(/\s*\(linkedin\)$/i, '').match(LINKEDIN_RE) || [''])[0],
+    site: site ? site[1] : ''
+  };
+}
+
+// Linha curta, sem pontuação final e que não é a localidade do item
+// anterior: provavelmente o nome de uma empresa
+function pareceEmpresa(linha, logoAposPeriodo) {
+  return (
+    linha.length <= 60 && !/[.!?;:]$/.test(linha) && !(logoAposPeriodo && /,/.test(linha))
+  );
+}
+
+/**
+ * Experiências: cada item tem empresa, cargo e a linha do período; a
+ * descrição vai até o cabeçalho do item seguinte. Vários cargos na mesma
+ * empresa vêm com a duração total logo abaixo do nome da empresa e os
+ * cargos seguintes sem o nome dela.
+ */
+function lerExperiencias(linhas) {
+  const datas = linhas
+    .map((linha, idx) => (DATA_LINHA_RE.test(linha) ? idx : -1))
+    .filter((idx) => idx > 0);
+
+  let empresaDoGrupo = '';
+  const itens = datas.map((d, k) => {
+    const limite = k > 0 ? datas[k - 1] + 1 : 0;
+    let cabecalho = d - 2;
+    let empresa = linhas[d - 2];
+    if (d - 3 >= limite && DURACAO_RE.test(linhas[d - 2])) {
+      cabecalho = d - 3;
+      empresa = linhas[d - 3];
+      empresaDoGrupo = empresa;
+    } else if (d - 2 < limite || (empresaDoGrupo && !pareceEmpresa(empresa, d - 2 === limite))) {
+      cabecalho = d - 1;
+      empresa = empresaDoGrupo;
+    } else {
+      empresaDoGrupo = '';
+    }
+    const [, inicio, fim] = linhas[d].match(DATA_LINHA_RE);
+    return { d, cabecalho, empresa, cargo: linhas[d - 1], inicio, fim };
+  });
+
+  return itens.map((item, k) => {
+    const fimBloco = k + 1 < itens.length ? itens[k + 1].cabecalho : linhas.length;
+    const corpo = linhas.slice(item.d + 1, fimBloco);
+
+    let localidade = '';
+    if (corpo.length && corpo[0].length <= 80 && /,/.test(corpo[0]) && !/[.!?]$/.test(corpo[0])) {
+      localidade = corpo.shift();
+    }
+
+    return {
+      empresa: item.empresa,
+      cargo: item.cargo,
+      inicio: converterData(item.inicio),
+      fim: converterData(item.fim),
+      localidade,
+      descricao: juntarParagrafo(corpo)
+    };
+  });
+}
+
+// "Bacharelado, Administração · (2010 - 2014)"
+function lerFormacoes(linhas) {
+  const formacoes = [];
+  for (let i = 0; i < linhas.length; i += 1) {
+    const detalhe = linhas[i + 1] || '';
+    if (!/·|\(\s*\d{4}/.test(detalhe)) continue;
+
+    const [curso, periodo = ''] = detalhe.split(/\s*·\s*/);
+    const anos = periodo.match(/(\d{4})(?:\s*[-–]\s*(\d{4}))?/);
+    formacoes.push({
+      instituicao: linhas[i],
+      curso: curso.replace(/\(\s*\d{4}.*$/, '').replace(/,\s*/, ' em ').trim(),
+      inicio: anos ? anos[1] : '',
+      fim: anos && anos[2] ? anos[2] : ''
+    });
+    i += 1;
+  }
+  return formacoes;
+}
+
+// "Inglês (Full Professional)" -> { nome, nivel }
+function lerIdiomas(linhas) {
+  return linhas.map((linha) => {
+    const m = linha.match(/^(.+?)\s*\((.+)\)$/);
+    return m ? { nome: m[1], nivel: m[2] } : { nome: linha, nivel: '' };
+  });
+}
+
+/**
+ * Texto extraído de um PDF -> currículo bruto. Fora do formato do LinkedIn,
+ * aproveita pelo menos o nome (primeira linha) e os contatos.
+ */
+function curriculoDoTexto(texto) {
+  const linhas = linhasDoTexto(texto);
+  const secoes = separarSecoes(linhas);
+  const linha = (id) => secoes.filter((s) => s.id === id).flatMap((s) => s.linhas);
+
+  const doLinkedin = secoes.some((s) => SECOES_PRINCIPAIS.includes(s.id));
+  const cabecalho = doLinkedin
+    ? extrairCabecalho(secoes)
+    : { nome: linhas[0] || '', cidade: '', estado: '' };
+  const contato = lerContato(doLinkedin ? linha('contato') : linhas.slice(0, 15));
+
+  return {
+    dadosPessoais: { ...cabecalho, ...contato },
+    objetivo: { texto: juntarParagrafo(linha('resumo')) },
+    experiencias: lerExperiencias(linha('experiencias')),
+    formacoes: lerFormacoes(linha('formacoes')),
+    cursos: linha('cursos').map((nome) => ({ nome })),
+    habilidades: linha('habilidades'),
+    idiomas: lerIdiomas(linha('idiomas'))
+  };
+}
+
+// pdf.js só é distribuído como ES module: carrega sob demanda
+let pdfjs;
+const FONTES_PDFJS = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts/'
+);
+
+async function extrairTexto(buffer) {
+  pdfjs = pdfjs || (await import('pdfjs-dist/legacy/build/pdf.mjs'));
+  const documento = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: FONTES_PDFJS,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  const paginas = [];
+  try {
+    for (let n = 1; n <= documento.numPages; n += 1) {
+      const pagina = await documento.getPage(n);
+      const { items } = await pagina.getTextContent();
+      paginas.push(items.map((item) => item.str + (item.hasEOL ? '\n' : '')).join(''));
+    }
+  } finally {
+    await documento.destroy();
+  }
+  return paginas.join('\n');
+}
+
+async function importarPdf(buffer) {
+  let texto;
+  try {
+    texto = await extrairTexto(buffer);
+  } catch (err) {
+    return { erro: 'Não foi possível ler este PDF.' };
+  }
+  if (!texto.trim()) {
+    return { erro: 'O PDF não tem texto selecionável (parece uma imagem escaneada).' };
+  }
+  return { data: normalizarCurriculo(curriculoDoTexto(texto)), origem: 'pdf' };
+}
+
+/**
+ * Importa um arquivo enviado pelo criador.
+ * @param {{ tipo: 'json'|'pdf', conteudo: object|Buffer }} arquivo
+ * @returns {Promise<{ data?: object, origem?: string, erro?: string }>}
+ *   currículo normalizado, ou a mensagem de erro para o cliente
+ */
+async function importarArquivo({ tipo, conteudo }) {
+  if (tipo === 'pdf') return importarPdf(conteudo);
+
+  if (!conteudo || typeof conteudo !== 'object' || Array.isArray(conteudo)) {
+    return { erro: 'Arquivo JSON inválido.' };
+  }
+  if (eJsonResume(conteudo)) {
+    return { data: normalizarCurriculo(deJsonResume(conteudo)), origem: 'json-resume' };
+  }
+  // Também aceita o JSON do próprio criador (ex.: cópia de um rascunho)
+  if (conteudo.dadosPessoais) {
+    return { data: normalizarCurriculo(conteudo), origem: 'mycurriculo' };
+  }
+  return { erro: 'O JSON não está no formato JSON Resume.' };
+}
+
+module.exports = {
+  MAX_PDF_MB,
+  importarArquivo,
+  curriculoDoTexto
+};
@@ -0,0 +1,239 @@
+// lib/jsonresume.js - CONVERSÃO DE/PARA O FORMATO JSON RESUME
+//
+// JSON Resume (https://jsonresume.org/schema) é o formato aberto usado por
+// vários sites e ferramentas de currículo. A ida e a volta usam os mesmos
+// mapeamentos:
+//   basics       <-> dadosPessoais, objetivo e redesSociais (profiles)
+//   work         <-> experiencias
+//   education    <-> formacoes
+//   certificates <-> cursos
+//   skills       <-> habilidades
+//   languages    <-> idiomas
+// O que não tem lugar no JSON Resume (ex.: extras, carga horária, seções
+// personalizadas) vai em `meta.mycurriculo` e volta na importação.
+
+const SCHEMA_URL =
+  'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Valores de "fim" que significam emprego/curso em andamento
+const ATUAL_RE = /^(atual|atualmente|presente|o momento|em andamento|cursando|present|current|now)$/i;
+
+// Arquivos de terceiros: ignora itens nulos no meio das listas
+function lista(valor) {
+  return Array.isArray(valor) ? valor.filter((v) => v !== null && v !== undefined) : [];
+}
+
+function texto(valor) {
+  return typeof valor === 'string' ? valor.trim() : '';
+}
+
+// "03/2020" -> "2020-03", "2020" -> "2020". Outros textos não têm data ISO.
+function paraDataIso(valor) {
+  const v = texto(valor);
+  let m = v.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[2]}-${m[1].padStart(2, '0')}`;
+  m = v.match(/^\d{4}$/);
+  return m ? v : undefined;
+}
+
+// "2020-03-15" / "2020-03" -> "03/2020", "2020" -> "2020"
+function deDataIso(valor) {
+  const v = texto(valor);
+  const m = v.match(/^(\d{4})(?:-(\d{2}))?/);
+  if (!m) return v;
+  return m[2] ? `${m[2]}/${m[1]}` : m[1];
+}
+
+function periodoIso(inicio, fim) {
+  const periodo = { startDate: paraDataIso(inicio) };
+  // Sem endDate = em andamento, como no schema
+  if (!ATUAL_RE.test(texto(fim))) periodo.endDate = paraDataIso(fim);
+  return periodo;
+}
+
+function periodoDe({ startDate, endDate }) {
+  const inicio = deDataIso(startDate);
+  return { inicio, fim: endDate ? deDataIso(endDate) : inicio ? 'Atual' : '' };
+}
+
+// Remove chaves vazias (o schema prefere ausência a string vazia)
+function limpar(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(
+      ([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && !v.length)
+    )
+  );
+}
+
+function nomeDaRede(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    return host.split('.')[0].replace(/^./, (c) => c.toUpperCase());
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Currículo normalizado (lib/curriculo.js) -> JSON Resume.
+ * @param {object} dados
+ * @returns {object}
+ */
+function paraJsonResume(dados) {
+  const { dadosPessoais = {}, objetivo = {} } = dados;
+  const cursos = lista(dados.cursos);
+
+  const profiles = [
+    dadosPessoais.linkedin && { network: 'LinkedIn', url: dadosPessoais.linkedin },
+    ...lista(dados.redesSociais).map((r) =>
+      limpar({ network: r.rede || nomeDaRede(r.url), url: r.url })
+    )
+  ].filter(Boolean);
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: limpar({
+      name: dadosPessoais.nome,
+      email: dadosPessoais.email,
+      phone: dadosPessoais.telefone,
+      url: dadosPessoais.site,
+      summary: objetivo.texto,
+      location: (dadosPessoais.cidade || dadosPessoais.estado) &&
+        limpar({ city: dadosPessoais.cidade, region: dadosPessoais.estado }),
+      profiles
+    }),
+    work: lista(dados.experiencias).map((exp) =>
+      limpar({
+        name: exp.empresa,
+        position: exp.cargo,
+        location: exp.localidade,
+        summary: exp.descricao,
+        ...periodoIso(exp.inicio, exp.fim)
+      })
+    ),
+    education: lista(dados.formacoes).map((f) =>
+      limpar({
+        institution: f.instituicao,
+        area: f.curso,
+        ...periodoIso(f.inicio, f.fim)
+      })
+    ),
+    certificates: cursos.map((c) =>
+      limpar({ name: c.nome, issuer: c.instituicao })
+    ),
+    skills: lista(dados.habilidades).map((h) => ({ name: h })),
+    languages: lista(dados.idiomas).map((i) =>
+      limpar({ language: i.nome, fluency: i.nivel })
+    ),
+    meta: {
+      mycurriculo: limpar({
+        cargaHoraria: cursos.some((c) => c.cargaHoraria)
+          ? cursos.map((c) => c.cargaHoraria || '')
+          : undefined,
+        extras: lista(dados.extras),
+        secoesPersonalizadas: lista(dados.secoesPersonalizadas)
+      })
+    }
+  };
+}
+
+// "Bacharelado" + "Administração" -> "Bacharelado em Administração"
+function cursoDaFormacao(edu) {
+  const area = texto(edu.area);
+  const tipo = texto(edu.studyType);
+  if (!area || !tipo) return area || tipo;
+  return area.toLowerCase().includes(tipo.toLowerCase()) ? area : `${tipo} em ${area}`;
+}
+
+// Resumo + destaques (highlights) viram o texto da experiência
+function descricaoDaExperiencia(exp) {
+  const destaques = lista(exp.highlights).map(texto).filter(Boolean);
+  return [texto(exp.summary) || texto(exp.description), ...destaques.map((d) => `- ${d}`)]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * JSON Resume -> currículo no formato do criador (ainda bruto: passe por
+ * normalizarCurriculo() antes de usar).
+ * @param {object} json
+ * @returns {object}
+ */
+function deJsonResume(json) {
+  const basics = json.basics || {};
+  const location = basics.location || {};
+  const meta = json.meta?.mycurriculo || {};
+
+  const perfis = lista(basics.profiles).filter((p) => p && (p.url || p.username));
+  const linkedin = perfis.find((p) => /linkedin/i.test(`${p.network} ${p.url}`));
+  const urlPerfil = (p) =>
+    texto(p.url) ||
+    (/linkedin/i.test(p.network) ? `linkedin.com/in/${texto(p.username)}` : '');
+
+  const certificados = lista(json.certificates).map((c, idx) => ({
+    nome: texto(c.name),
+    instituicao: texto(c.issuer),
+    cargaHoraria: texto(lista(meta.cargaHoraria)[idx])
+  }));
+  // "courses" da formação e "awards" também entram como cursos
+  const cursosDaFormacao = lista(json.education).flatMap((edu) =>
+    lista(edu.courses).map((nome) => ({ nome: texto(nome), instituicao: texto(edu.institution) }))
+  );
+
+  return {
+    dadosPessoais: {
+      nome: texto(basics.name),
+      email: texto(basics.email),
+      telefone: texto(basics.phone),
+      cidade: texto(location.city),
+      estado: texto(location.region),
+      linkedin: linkedin ? urlPerfil(linkedin) : '',
+      site: texto(basics.url) || texto(basics.website)
+    },
+    objetivo: { texto: texto(basics.summary) },
+    experiencias: lista(json.work).map((exp) => ({
+      cargo: texto(exp.position),
+      // "company" é o nome antigo (schema 0.x)
+      empresa: texto(exp.name) || texto(exp.company),
+      localidade: texto(exp.location),
+      descricao: descricaoDaExperiencia(exp),
+      ...periodoDe(exp)
+    })),
+    formacoes: lista(json.education).map((edu) => ({
+      curso: cursoDaFormacao(edu),
+      instituicao: texto(edu.institution),
+      ...periodoDe(edu)
+    })),
+    cursos: [
+      ...certificados,
+      ...cursosDaFormacao,
+      ...lista(json.awards).map((a) => ({ nome: texto(a.title), instituicao: texto(a.awarder) }))
+    ],
+    habilidades: lista(json.skills).map((s) => texto(typeof s === 'string' ? s : s.name)),
+    idiomas: lista(json.languages).map((l) => ({
+      nome: texto(l.language),
+      nivel: texto(l.fluency)
+    })),
+    redesSociais: perfis
+      .filter((p) => p !== linkedin)
+      .map((p) => ({ rede: texto(p.network), url: urlPerfil(p) })),
+    extras: lista(meta.extras),
+    secoesPersonalizadas: lista(meta.secoesPersonalizadas)
+  };
+}
+
+// Reconhece um JSON Resume (e não o formato do próprio criador)
+function eJsonResume(json) {
+  return Boolean(
+    json &&
+      typeof json === 'object' &&
+      !json.dadosPessoais &&
+      (json.basics || json.work || json.education)
+  );
+}
+
+module.exports = {
+  paraJsonResume,
+  deJsonResume,
+  eJsonResume
+};
@@ -0,0 +1,72 @@
+// lib/layout.js - ORDEM E VISIBILIDADE DAS SEÇÕES DO CURRÍCULO
+//
+// Cada modelo tem a sua ordem padrão (template.secoes). No criador o cliente
+// pode arrastar as seções e esconder as que não quer; o pedido guarda a
+// lista escolhida em Order.layout.sections: [{ id, hidden }].
+// Todo render (PDF, DOCX/TXT) passa por ordenarSecoes(). Seção do modelo
+// que a lista não cita (ex.: criada depois que o pedido foi salvo) vai para
+// o fim, visível.
+
+// Ids das seções que os modelos sabem desenhar (ver templates/*.js)
+const SECOES = [
+  'objetivo',
+  'experiencias',
+  'formacoes',
+  'habilidades',
+  'cursos',
+  'idiomas',
+  'secoesPersonalizadas',
+  'extras',
+  'redesSociais'
+];
+
+const ERRO_LAYOUT = 'Layout das seções inválido.';
+
+/**
+ * Valida o layout enviado pelo criador. Sem layout (null/undefined), vale a
+ * ordem do modelo.
+ * @returns {{ layout: { sections: Array<{ id: string, hidden: boolean }> }|null,
+ *   erro: string|null }}
+ */
+function validarLayout(bruto) {
+  if (bruto === undefined || bruto === null) return { layout: null, erro: null };
+
+  const secoes = bruto.sections;
+  if (!Array.isArray(secoes) || secoes.length > SECOES.length) {
+    return { layout: null, erro: ERRO_LAYOUT };
+  }
+  const ids = secoes.map((secao) => secao?.id);
+  if (ids.some((id) => !SECOES.includes(id)) || new Set(ids).size !== ids.length) {
+    return { layout: null, erro: ERRO_LAYOUT };
+  }
+
+  return {
+    layout: { sections: secoes.map(({ id, hidden }) => ({ id, hidden: hidden === true })) },
+    erro: null
+  };
+}
+
+/**
+ * Seções do modelo na ordem escolhida pelo cliente, sem as escondidas.
+ * @param {Array<{ id: string }>} secoes template.secoes
+ * @param {{ sections?: Array<{ id: string, hidden?: boolean }> }} [layout]
+ */
+function ordenarSecoes(secoes, layout) {
+  const escolhidas = layout?.sections;
+  if (!Array.isArray(escolhidas) || !escolhidas.length) return secoes;
+
+  const porId = new Map(secoes.map((secao) => [secao.id, secao]));
+  const listadas = escolhidas.filter(({ id }) => porId.has(id));
+  const citadas = new Set(listadas.map(({ id }) => id));
+
+  return [
+    ...listadas.filter(({ hidden }) => !hidden).map(({ id }) => porId.get(id)),
+    ...secoes.filter(({ id }) => !citadas.has(id))
+  ];
+}
+
+module.exports = {
+  SECOES,
+  validarLayout,
+  ordenarSecoes
+};
@@ -0,0 +1,362 @@
+// lib/metricas.js - MÉTRICAS DE VENDA DO PAINEL ADMIN
+//
+// - Só monta os pipelines de agregação (Order e IaUso) e arruma o resultado
+//   para os gráficos; quem roda a agregação é o server.js.
+// - Datas em UTC, como o "dia" do IaUso. Dias (e semanas) sem movimento
+//   entram zerados na série, para o gráfico não pular datas.
+// - Funil por coorte: cada pedido conta no dia em que foi criado, mesmo que
+//   o pagamento venha depois.
+
+const { lerData } = require('./admin');
+
+const DIAS_PADRAO = 30;
+const DIAS_MAX = 366;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Tempo até o pagamento, em minutos: limites das faixas do histograma
+const FAIXAS_PAGAMENTO = [
+  { ate: 10, label: 'até 10 min' },
+  { ate: 60, label: '10 min a 1 h' },
+  { ate: 24 * 60, label: '1 h a 1 dia' },
+  { ate: 7 * 24 * 60, label: '1 a 7 dias' }
+];
+const FAIXA_RESTO = 'mais de 7 dias';
+
+function diaIso(data) {
+  return data.toISOString().slice(0, 10);
+}
+
+// Semana ISO 8601 ("2024-W22"), a mesma do %G-W%V do Mongo
+function semanaIso(data) {
+  const quinta = new Date(Date.UTC(data.getUTCFullYear(), data.getUTCMonth(), data.getUTCDate()));
+  quinta.setUTCDate(quinta.getUTCDate() + 3 - ((quinta.getUTCDay() + 6) % 7));
+  const inicioDoAno = new Date(Date.UTC(quinta.getUTCFullYear(), 0, 1));
+  const semana = Math.ceil(((quinta - inicioDoAno) / DIA_MS + 1) / 7);
+  return `${quinta.getUTCFullYear()}-W${String(semana).padStart(2, '0')}`;
+}
+
+const AGRUPAMENTOS = {
+  day: { formato: '%Y-%m-%d', chave: diaIso },
+  week: { formato: '%G-W%V', chave: semanaIso }
+};
+
+function grupoPorData(campo, agrupamento = 'day') {
+  return {
+    $dateToString: { format: AGRUPAMENTOS[agrupamento].formato, date: campo, timezone: 'UTC' }
+  };
+}
+
+function arredondar(valor) {
+  return Math.round((valor || 0) * 100) / 100;
+}
+
+/**
+ * Período das métricas: ?from=AAAA-MM-DD&to=AAAA-MM-DD (inclusive), padrão
+ * os últimos 30 dias, até 366 dias.
+ * @returns {{ de: Date, ate: Date, from: string, to: string, erro: string|null }}
+ *   `ate` é exclusivo (início do dia seguinte ao `to`)
+ */
+function lerPeriodo(query = {}, agora = new Date()) {
+  const hoje = lerData(diaIso(agora));
+  const ate = query.to ? lerData(query.to, true) : new Date(hoje.getTime() + DIA_MS);
+  const de = query.from
+    ? lerData(query.from)
+    : ate && new Date(ate.getTime() - DIAS_PADRAO * DIA_MS);
+  const periodo = (erro) => ({
+    de,
+    ate,
+    from: de && diaIso(de),
+    to: ate && diaIso(new Date(ate.getTime() - DIA_MS)),
+    erro
+  });
+
+  if (!de || !ate) return periodo('Datas no formato AAAA-MM-DD.');
+  if (de >= ate) return periodo('A data inicial deve ser anterior à final.');
+  if ((ate - de) / DIA_MS > DIAS_MAX) {
+    return periodo(`Período de no máximo ${DIAS_MAX} dias.`);
+  }
+  return periodo(null);
+}
+
+/**
+ * Chaves de todos os dias (ou semanas) do período, em ordem.
+ * @param {{ de: Date, ate: Date }} periodo
+ * @param {'day'|'week'} agrupamento
+ */
+function chavesDoPeriodo({ de, ate }, agrupamento = 'day') {
+  const chave = AGRUPAMENTOS[agrupamento].chave;
+  const chaves = [];
+  for (let t = de.getTime(); t < ate.getTime(); t += DIA_MS) {
+    const atual = chave(new Date(t));
+    if (chaves[chaves.length - 1] !== atual) chaves.push(atual);
+  }
+  return chaves;
+}
+
+// Resultado da agregação ({ _id: chave, ... }) -> série contínua
+function preencherSerie(linhas, chaves, campo, vazio) {
+  const porChave = new Map(linhas.map(({ _id, ...valores }) => [_id, valores]));
+  return chaves.map((chave) => ({ [campo]: chave, ...vazio, ...porChave.get(chave) }));
+}
+
+function somar(serie, campos) {
+  return Object.fromEntries(
+    campos.map((campo) => [campo, serie.reduce((total, linha) => total + linha[campo], 0)])
+  );
+}
+
+function taxa(parte, todo) {
+  return todo ? Math.round((parte / todo) * 1000) / 10 : 0;
+}
+
+function criadosNoPeriodo({ de, ate }) {
+  return { $match: { createdAt: { $gte: de, $lt: ate } } };
+}
+
+// ---------- FUNIL: criados -> checkout iniciado -> pagos -> baixados ----------
+
+// Checkout iniciado = o pedido ganhou uma sessão de pagamento (ou foi pago
+// sem ela, como no "marcar como pago" do admin)
+function pipelineFunil(periodo) {
+  const contar = (condicao) => ({ $sum: { $cond: [condicao, 1, 0] } });
+  return [
+    criadosNoPeriodo(periodo),
+    {
+      $group: {
+        _id: grupoPorData('$createdAt'),
+        created: { $sum: 1 },
+        checkout: contar({
+          $or: [{ $ne: [{ $ifNull: ['$paymentSessionId', null] }, null] }, { $eq: ['$paid', true] }]
+        }),
+        paid: contar({ $eq: ['$paid', true] }),
+        downloaded: contar({ $gt: [{ $ifNull: ['$downloadCount', 0] }, 0] })
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+function montarFunil(linhas, periodo) {
+  const days = preencherSerie(linhas, chavesDoPeriodo(periodo), 'day', {
+    created: 0,
+    checkout: 0,
+    paid: 0,
+    downloaded: 0
+  });
+  const total = somar(days, ['created', 'checkout', 'paid', 'downloaded']);
+  return {
+    days,
+    total,
+    // % em relação à etapa anterior
+    rates: {
+      checkout: taxa(total.checkout, total.created),
+      paid: taxa(total.paid, total.checkout),
+      downloaded: taxa(total.downloaded, total.paid),
+      overall: taxa(total.paid, total.created)
+    }
+  };
+}
+
+// ---------- RECEITA por dia ou semana (pedidos + adicionais) ----------
+
+// Cada pagamento conta na data em que foi confirmado (paidAt). Os adicionais
+// têm pagamento próprio, dentro do pedido.
+function pipelineReceita({ de, ate }, agrupamento = 'day') {
+  const noPeriodo = { $gte: de, $lt: ate };
+  return [
+    {
+      $match: {
+        $or: [
+          { paid: true, paidAt: noPeriodo },
+          { addons: { $elemMatch: { paid: true, paidAt: noPeriodo } } }
+        ]
+      }
+    },
+    {
+      $project: {
+        pagamentos: {
+          $concatArrays: [
+            {
+              $cond: [
+                { $eq: ['$paid', true] },
+                [{ tipo: 'pedido', valor: '$price', pagoEm: '$paidAt' }],
+                []
+              ]
+            },
+            {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ['$addons', []] },
+                    as: 'a',
+                    cond: { $eq: ['$$a.paid', true] }
+                  }
+                },
+                as: 'a',
+                in: { tipo: 'adicional', valor: '$$a.price', pagoEm: '$$a.paidAt' }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$pagamentos' },
+    { $match: { 'pagamentos.pagoEm': noPeriodo } },
+    {
+      $group: {
+        _id: grupoPorData('$pagamentos.pagoEm', agrupamento),
+        revenue: { $sum: '$pagamentos.valor' },
+        orders: { $sum: { $cond: [{ $eq: ['$pagamentos.tipo', 'pedido'] }, 1, 0] } },
+        addons: { $sum: { $cond: [{ $eq: ['$pagamentos.tipo', 'adicional'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+function montarReceita(linhas, periodo, agrupamento = 'day') {
+  const series = preencherSerie(linhas, chavesDoPeriodo(periodo, agrupamento), 'period', {
+    revenue: 0,
+    orders: 0,
+    addons: 0
+  }).map((linha) => ({ ...linha, revenue: arredondar(linha.revenue) }));
+  const total = somar(series, ['revenue', 'orders', 'addons']);
+  const pagamentos = total.orders + total.addons;
+  return {
+    group: agrupamento,
+    series,
+    total: {
+      ...total,
+      revenue: arredondar(total.revenue),
+      averageTicket: pagamentos ? arredondar(total.revenue / pagamentos) : 0
+    }
+  };
+}
+
+// ---------- POPULARIDADE por modelo ou produto ----------
+
+/**
+ * Pedidos criados no período agrupados por um campo do pedido.
+ * @param {'template'|'product'} campo
+ */
+function pipelinePopularidade(periodo, campo) {
+  return [
+    criadosNoPeriodo(periodo),
+    {
+      $group: {
+        _id: `$${campo}`,
+        created: { $sum: 1 },
+        paid: { $sum: { $cond: [{ $eq: ['$paid', true] }, 1, 0] } },
+        revenue: { $sum: { $cond: [{ $eq: ['$paid', true] }, '$price', 0] } }
+      }
+    },
+    { $sort: { paid: -1, created: -1 } }
+  ];
+}
+
+// nomes: id -> nome legível (catálogo de modelos ou de produtos)
+function montarPopularidade(linhas, nomes = {}) {
+  return linhas.map(({ _id, created, paid, revenue }) => ({
+    id: _id,
+    name: nomes[_id] || _id || '-',
+    created,
+    paid,
+    revenue: arredondar(revenue),
+    conversion: taxa(paid, created)
+  }));
+}
+
+// ---------- TEMPO ATÉ O PAGAMENTO ----------
+
+// Pedidos pagos no período: média e histograma de (paidAt - createdAt)
+function pipelineTempoPagamento({ de, ate }) {
+  return [
+    { $match: { paid: true, paidAt: { $gte: de, $lt: ate } } },
+    { $project: { minutos: { $divide: [{ $subtract: ['$paidAt', '$createdAt'] }, 60 * 1000] } } },
+    {
+      $facet: {
+        resumo: [{ $group: { _id: null, orders: { $sum: 1 }, media: { $avg: '$minutos' } } }],
+        faixas: [
+          {
+            $bucket: {
+              groupBy: '$minutos',
+              boundaries: [0, ...FAIXAS_PAGAMENTO.map((f) => f.ate)],
+              default: FAIXA_RESTO,
+              output: { orders: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ];
+}
+
+function montarTempoPagamento([resultado] = []) {
+  const resumo = resultado?.resumo?.[0];
+  const porFaixa = new Map((resultado?.faixas || []).map((f) => [f._id, f.orders]));
+  // $bucket identifica a faixa pelo limite inferior
+  const limites = [0, ...FAIXAS_PAGAMENTO.map((f) => f.ate)];
+  return {
+    orders: resumo?.orders || 0,
+    averageMinutes: resumo ? Math.round(resumo.media) : null,
+    buckets: [
+      ...FAIXAS_PAGAMENTO.map((faixa, i) => ({
+        label: faixa.label,
+        orders: porFaixa.get(limites[i]) || 0
+      })),
+      { label: FAIXA_RESTO, orders: porFaixa.get(FAIXA_RESTO) || 0 }
+    ]
+  };
+}
+
+// ---------- USO DA IA por dia ----------
+
+// "cache" e "limite" não são chamadas ao provedor (ver 4.6 no server.js)
+function pipelineIa({ from, to }) {
+  const doProvedor = (provedor) => ({
+    $sum: { $cond: [{ $eq: ['$provedor', provedor] }, '$chamadas', 0] }
+  });
+  return [
+    { $match: { dia: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$dia',
+        calls: {
+          $sum: { $cond: [{ $in: ['$provedor', ['cache', 'limite']] }, 0, '$chamadas'] }
+        },
+        cached: doProvedor('cache'),
+        limited: doProvedor('limite'),
+        errors: { $sum: '$erros' },
+        tokens: { $sum: '$tokens' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ];
+}
+
+function montarIa(linhas, periodo) {
+  const days = preencherSerie(linhas, chavesDoPeriodo(periodo), 'day', {
+    calls: 0,
+    cached: 0,
+    limited: 0,
+    errors: 0,
+    tokens: 0
+  });
+  return { days, total: somar(days, ['calls', 'cached', 'limited', 'errors', 'tokens']) };
+}
+
+module.exports = {
+  AGRUPAMENTOS,
+  lerPeriodo,
+  semanaIso,
+  pipelineFunil,
+  montarFunil,
+  pipelineReceita,
+  montarReceita,
+  pipelinePopularidade,
+  montarPopularidade,
+  pipelineTempoPagamento,
+  montarTempoPagamento,
+  pipelineIa,
+  montarIa
+};
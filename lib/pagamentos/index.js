@@ -0,0 +1,66 @@
+// lib/pagamentos/index.js - REGISTRO DE PROVEDORES DE PAGAMENTO
+//
+// Todo provedor exporta:
+//   id, nome            identificação (o id vai para Order.paymentProvider)
+//   webhook             id da rota /api/webhooks/:id que confirma o pagamento
+//   disponivel()        se pode ser usado com a configuração atual
+//   criarCheckout({ order, produto, successUrl, cancelUrl, valor?, item? })
+//                       -> { sessionId, checkoutUrl?, pix? }
+//                       valor (reais) e item só na compra de um adicional
+//                       (ex.: item 'carta'); sem eles, cobra order.price.
+//                       O item volta no evento do webhook.
+// e, se recebe webhooks diretamente:
+//   verificarWebhook(req)      valida a assinatura e devolve o evento
+//   interpretarEvento(event)   -> { orderId?, paymentIntentId?, provider?,
+//                                   status, paymentStatus, sessionId?, item? } ou
+//                                   null se o evento não interessa.
+//                                   status: 'paid' | 'pending' | 'failed' |
+//                                   'refunded' | 'disputed' | null (só registra)
+//
+// PAYMENT_PROVIDERS=stripe,pix escolhe os provedores oferecidos no front
+// (o primeiro é o padrão). Sem a variável: Stripe se houver chave. O mock
+// nunca entra por padrão: só com PAYMENT_PROVIDERS=mock (e fora de
+// produção), para um deploy mal configurado não abrir o webhook de teste.
+
+const PROVEDORES = [require('./stripe'), require('./pix'), require('./mock')];
+
+function getProvider(id) {
+  return PROVEDORES.find((p) => p.id === id) || null;
+}
+
+// Provedor responsável pela rota /api/webhooks/:id. Só responde se algum
+// provedor habilitado depende dele (ex.: Pix usa o webhook do Stripe), para
+// que o webhook do mock não fique aberto quando o mock não está em uso.
+function getWebhookProvider(id) {
+  const emUso = listarProvedores().some((p) => p.webhook === id);
+  if (!emUso) return null;
+  return PROVEDORES.find((p) => p.id === id && p.verificarWebhook) || null;
+}
+
+function provedoresConfigurados() {
+  const lista = (process.env.PAYMENT_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (lista.length) return lista;
+  return process.env.STRIPE_SECRET_KEY ? ['stripe'] : [];
+}
+
+// Provedores habilitados E disponíveis, na ordem configurada
+function listarProvedores() {
+  return provedoresConfigurados()
+    .map(getProvider)
+    .filter((p) => p && p.disponivel());
+}
+
+function provedorHabilitado(id) {
+  return listarProvedores().find((p) => p.id === id) || null;
+}
+
+module.exports = {
+  getProvider,
+  getWebhookProvider,
+  listarProvedores,
+  provedorHabilitado
+};
@@ -0,0 +1,99 @@
+// lib/pagamentos/mock.js - PROVEDOR DE TESTE (desenvolvimento local, sem Stripe)
+//
+// O "checkout" é a página public/mock-checkout.html, que chama o webhook
+// /api/webhooks/mock simulando a confirmação ou o cancelamento.
+// Só fica ativo se listado em PAYMENT_PROVIDERS, e nunca com
+// NODE_ENV=production. O webhook só aceita eventos com a assinatura (HMAC
+// com MOCK_WEBHOOK_SECRET) que o checkout recebeu na URL: sem ela, qualquer
+// um marcaria pedidos como pagos.
+
+const crypto = require('crypto');
+
+let segredo = process.env.MOCK_WEBHOOK_SECRET;
+
+function disponivel() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+function segredoWebhook() {
+  if (!segredo) {
+    // Em dev funciona sem configurar, mas checkouts abertos deixam de valer
+    // a cada reinício do servidor
+    console.warn('⚠️ MOCK_WEBHOOK_SECRET não configurado: usando um segredo temporário.');
+    segredo = crypto.randomBytes(32).toString('hex');
+  }
+  return segredo;
+}
+
+// Assinatura de uma sessão de checkout (pedido, sessão e adicional)
+function assinatura(orderId, sessionId, item) {
+  return crypto
+    .createHmac('sha256', segredoWebhook())
+    .update([orderId, sessionId, item || ''].join('|'))
+    .digest('hex');
+}
+
+function assinaturaConfere(esperada, recebida) {
+  const a = Buffer.from(esperada);
+  const b = Buffer.from(String(recebida || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function criarCheckout({ order, successUrl, cancelUrl, valor, item }) {
+  const sessionId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+  const params = new URLSearchParams({
+    orderId: order.orderId,
+    sessionId,
+    amount: String(valor ?? order.price),
+    successUrl,
+    cancelUrl,
+    sig: assinatura(order.orderId, sessionId, item)
+  });
+  if (item) params.set('item', item);
+
+  // Mesma origem do front (a página fica em public/)
+  const checkoutUrl = new URL(`/mock-checkout.html?${params}`, successUrl).toString();
+  return { sessionId, checkoutUrl };
+}
+
+function verificarWebhook(req) {
+  if (!disponivel()) {
+    throw new Error('Provedor mock desativado em produção.');
+  }
+  const event = JSON.parse(req.body.toString('utf8'));
+  if (!event || !event.id || !event.type || !event.data?.orderId) {
+    throw new Error('Evento mock inválido.');
+  }
+  const { orderId, sessionId, item, sig } = event.data;
+  if (!assinaturaConfere(assinatura(orderId, sessionId, item), sig)) {
+    throw new Error('Assinatura do evento mock inválida.');
+  }
+  return event;
+}
+
+function interpretarEvento(event) {
+  const status = {
+    'mock.payment_succeeded': 'paid',
+    'mock.payment_failed': 'failed'
+  }[event.type];
+
+  if (!status) return null;
+  return {
+    orderId: event.data.orderId,
+    provider: 'mock',
+    status,
+    paymentStatus: status === 'paid' ? 'paid' : 'failed',
+    sessionId: event.data.sessionId,
+    item: event.data.item
+  };
+}
+
+module.exports = {
+  id: 'mock',
+  nome: 'Pagamento de teste (local)',
+  webhook: 'mock',
+  disponivel,
+  criarCheckout,
+  verificarWebhook,
+  interpretarEvento
+};
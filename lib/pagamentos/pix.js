@@ -0,0 +1,53 @@
+// lib/pagamentos/pix.js - PROVEDOR PIX (via PaymentIntent do Stripe)
+//
+// O Stripe gera o QR Code e o código "copia e cola"; mostramos os dois na
+// própria pagamento.html. A confirmação chega pelo webhook do Stripe
+// (payment_intent.succeeded), tratado em lib/pagamentos/stripe.js.
+
+const { getStripe } = require('./stripe');
+
+// Tempo para o cliente pagar o QR Code (segundos)
+const PIX_EXPIRA_EM = 30 * 60;
+
+function disponivel() {
+  return Boolean(process.env.STRIPE_SECRET_KEY);
+}
+
+async function criarCheckout({ order, valor, item }) {
+  const metadata = { orderId: order.orderId, provider: 'pix' };
+  if (item) metadata.item = item;
+
+  const intent = await getStripe().paymentIntents.create({
+    amount: Math.round((valor ?? order.price) * 100), // R$ -> centavos
+    currency: 'brl',
+    payment_method_types: ['pix'],
+    payment_method_data: { type: 'pix' },
+    payment_method_options: {
+      pix: { expires_after_seconds: PIX_EXPIRA_EM }
+    },
+    confirm: true,
+    metadata
+  });
+
+  const qr = intent.next_action?.pix_display_qr_code;
+  if (!qr) {
+    throw new Error('Stripe não retornou o QR Code Pix.');
+  }
+
+  return {
+    sessionId: intent.id,
+    pix: {
+      copiaECola: qr.data,
+      qrCodeUrl: qr.image_url_png,
+      expiresAt: qr.expires_at ? new Date(qr.expires_at * 1000) : null
+    }
+  };
+}
+
+module.exports = {
+  id: 'pix',
+  nome: 'Pix',
+  webhook: 'stripe',
+  disponivel,
+  criarCheckout
+};
@@ -0,0 +1,152 @@
+// lib/pagamentos/stripe.js - PROVEDOR STRIPE CHECKOUT (cartão, boleto...)
+
+const Stripe = require('stripe');
+
+let client = null;
+
+// Cliente compartilhado com o provedor Pix (que também usa a conta Stripe)
+function getStripe() {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+}
+
+// Métodos oferecidos no Checkout. Ex.: STRIPE_PAYMENT_METHODS=card,boleto
+// (boleto é assíncrono: a confirmação chega dias depois pelo webhook).
+function metodosDePagamento() {
+  return (process.env.STRIPE_PAYMENT_METHODS || 'card')
+    .split(',')
+    .map((m) => m.trim())
+    .filter(Boolean);
+}
+
+function disponivel() {
+  return Boolean(process.env.STRIPE_SECRET_KEY);
+}
+
+async function criarCheckout({ order, produto, successUrl, cancelUrl, valor, item }) {
+  const metadata = { orderId: order.orderId };
+  if (item) metadata.item = item;
+
+  const session = await getStripe().checkout.sessions.create({
+    mode: 'payment',
+    payment_method_types: metodosDePagamento(),
+    line_items: [
+      {
+        price_data: {
+          currency: 'brl',
+          product_data: {
+            name: produto.nome
+          },
+          unit_amount: Math.round((valor ?? order.price) * 100) // R$ -> centavos
+        },
+        quantity: 1
+      }
+    ],
+    metadata,
+    // Leva o orderId para o PaymentIntent, onde chegam reembolsos e disputas
+    payment_intent_data: {
+      metadata
+    },
+    success_url: successUrl,
+    cancel_url: cancelUrl
+  });
+
+  return { sessionId: session.id, checkoutUrl: session.url };
+}
+
+// Valida a assinatura do Stripe; req.body precisa ser o corpo "raw".
+function verificarWebhook(req) {
+  return getStripe().webhooks.constructEvent(
+    req.body,
+    req.headers['stripe-signature'],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+}
+
+// Checkout: "completed" só significa pago se payment_status === 'paid'.
+// Boleto e outros métodos assíncronos chegam como 'unpaid' e são confirmados
+// (ou não) depois, pelos eventos async_payment_*.
+const EVENTOS_CHECKOUT = {
+  'checkout.session.completed': (session) =>
+    session.payment_status === 'unpaid' ? 'pending' : 'paid',
+  'checkout.session.async_payment_succeeded': () => 'paid',
+  'checkout.session.async_payment_failed': () => 'failed'
+};
+
+// Status dos Pix (PaymentIntents criados por lib/pagamentos/pix.js)
+const EVENTOS_PIX = {
+  'payment_intent.succeeded': 'paid',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed'
+};
+
+function interpretarEvento(event) {
+  const obj = event.data.object;
+
+  if (EVENTOS_CHECKOUT[event.type]) {
+    return {
+      orderId: obj.metadata?.orderId,
+      paymentIntentId: obj.payment_intent || undefined,
+      provider: 'stripe',
+      status: EVENTOS_CHECKOUT[event.type](obj),
+      paymentStatus: obj.payment_status,
+      sessionId: obj.id,
+      item: obj.metadata?.item
+    };
+  }
+
+  // Pagamentos Pix chegam por este mesmo webhook. Os PaymentIntents do
+  // Checkout (cartão) não têm metadata.provider e são ignorados aqui.
+  if (EVENTOS_PIX[event.type] && obj.metadata?.provider === 'pix') {
+    return {
+      orderId: obj.metadata.orderId,
+      paymentIntentId: obj.id,
+      provider: 'pix',
+      status: EVENTOS_PIX[event.type],
+      paymentStatus: obj.status,
+      sessionId: obj.id,
+      item: obj.metadata.item
+    };
+  }
+
+  // Reembolso total revoga o acesso; parcial só fica registrado.
+  if (event.type === 'charge.refunded') {
+    return {
+      orderId: obj.metadata?.orderId,
+      paymentIntentId: obj.payment_intent,
+      status: obj.refunded ? 'refunded' : null,
+      paymentStatus: obj.refunded ? 'refunded' : 'partially_refunded'
+    };
+  }
+
+  // Disputa aberta revoga o acesso; se o Stripe der ganho de causa, volta.
+  if (event.type === 'charge.dispute.created') {
+    return {
+      paymentIntentId: obj.payment_intent,
+      status: 'disputed',
+      paymentStatus: `dispute_${obj.status}`
+    };
+  }
+  if (event.type === 'charge.dispute.closed') {
+    return {
+      paymentIntentId: obj.payment_intent,
+      status: obj.status === 'won' ? 'paid' : 'disputed',
+      paymentStatus: `dispute_${obj.status}`
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  id: 'stripe',
+  nome: 'Cartão de crédito',
+  webhook: 'stripe',
+  getStripe,
+  disponivel,
+  criarCheckout,
+  verificarWebhook,
+  interpretarEvento
+};
@@ -0,0 +1,138 @@
+// lib/pdf.js - GERAÇÃO DO PDF DO CURRÍCULO E DA CARTA (download pago e prévia)
+//
+// A prévia usa exatamente o mesmo render dos modelos (mesmo layout e
+// quebras de página), com marca d'água em todas as páginas e o PDF
+// protegido contra cópia de texto e impressão em alta resolução.
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { desenharCarta } = require('./carta');
+const { aplicarTema } = require('./tema');
+
+const MARCA_DAGUA = 'PRÉVIA';
+const RODAPE_PREVIA = 'Prévia gerada pelo MyCurrículo · o PDF final sai sem marca d\'água';
+
+function opcoesDocumento(previa) {
+  // Mantém as páginas em memória: o modelo lateral volta a páginas
+  // anteriores para desenhar a barra, e a prévia desenha a marca d'água por
+  // cima de tudo no final
+  if (!previa) return { margin: 50, bufferPages: true };
+  return {
+    margin: 50,
+    bufferPages: true,
+    ownerPassword: crypto.randomBytes(16).toString('hex'),
+    permissions: {
+      printing: 'lowResolution',
+      copying: false,
+      modifying: false,
+      annotating: false
+    }
+  };
+}
+
+function desenharMarcaDagua(doc) {
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let i = start; i < start + count; i += 1) {
+    doc.switchToPage(i);
+    const { width, height } = doc.page;
+
+    doc.save();
+    doc.rotate(-35, { origin: [width / 2, height / 2] });
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(96)
+      .fillColor('#94a3b8')
+      .fillOpacity(0.25)
+      .text(MARCA_DAGUA, 0, height / 2 - 48, {
+        width,
+        align: 'center',
+        lineBreak: false
+      });
+    doc.restore();
+
+    // Abaixo da margem inferior: desliga a margem para o PDFKit não
+    // abrir uma página nova
+    const margemInferior = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor('#64748b')
+      .fillOpacity(1)
+      .text(RODAPE_PREVIA, 0, height - 30, {
+        width,
+        align: 'center',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = margemInferior;
+  }
+}
+
+/**
+ * Monta o PDF do currículo com o modelo informado. O documento volta já
+ * finalizado: basta fazer doc.pipe(res).
+ * @param {object} template modelo de templates/ (ver templates/index.js)
+ * @param {object} dados currículo normalizado (lib/curriculo.js)
+ * @param {{ previa?: boolean, locale?: string, layout?: object, tema?: object,
+ *   foto?: Buffer|null }} [opcoes]
+ *   locale: idioma dos títulos, rótulos e datas (lib/traducoes.js);
+ *   layout: ordem e seções escondidas (lib/layout.js);
+ *   tema: cor de destaque, fontes e densidade (lib/tema.js);
+ *   foto: imagem de fotoParaPdf() (lib/foto.js), ignorada nos modelos sem
+ *   suportaFoto
+ */
+function gerarPdf(template, dados, { previa = false, locale, layout, tema, foto } = {}) {
+  const doc = new PDFDocument(opcoesDocumento(previa));
+
+  aplicarTema(doc, template, tema);
+  template.render(doc, dados, {
+    locale,
+    layout,
+    corDestaque: tema?.accentColor || null,
+    foto: template.suportaFoto ? foto || null : null
+  });
+  if (previa) desenharMarcaDagua(doc);
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Monta o PDF da carta de apresentação, com o cabeçalho do modelo.
+ * @param {object} carta campos da carta (lib/carta.js)
+ * @param {{ previa?: boolean, locale?: string, tema?: object }} [opcoes]
+ */
+function gerarCartaPdf(template, dados, carta, { previa = false, locale, tema } = {}) {
+  const doc = new PDFDocument(opcoesDocumento(previa));
+
+  aplicarTema(doc, template, tema);
+  desenharCarta(doc, template, dados, carta, {
+    locale,
+    corDestaque: tema?.accentColor || null
+  });
+  if (previa) desenharMarcaDagua(doc);
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Junta o PDF gerado em um Buffer (ex.: anexo de e-mail), em vez de
+ * enviá-lo por pipe.
+ * @returns {Promise<Buffer>}
+ */
+function pdfEmBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    doc.on('data', (parte) => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+  });
+}
+
+module.exports = {
+  gerarPdf,
+  gerarCartaPdf,
+  pdfEmBuffer
+};
@@ -0,0 +1,182 @@
+// lib/precos.js - CATÁLOGO DE PRODUTOS E REGRAS DE CUPOM
+//
+// O preço NUNCA vem do cliente: o pedido guarda o id do produto e o valor é
+// calculado aqui, na criação do pedido e de novo no checkout.
+// Internamente tudo é calculado em centavos; o Order guarda reais (19.9).
+
+const PRODUTOS = [
+  {
+    id: 'pdf',
+    nome: 'Currículo em PDF',
+    descricao: 'Download do currículo no modelo escolhido.',
+    precoCentavos: 1990
+  },
+  {
+    id: 'pdf_carta',
+    nome: 'Currículo + Carta de Apresentação',
+    descricao: 'PDF do currículo e carta de apresentação no mesmo estilo.',
+    precoCentavos: 2990,
+    cartaInclusa: true
+  },
+  {
+    id: 'edicoes_ilimitadas',
+    nome: 'Pacote Edições Ilimitadas',
+    descricao: 'PDF + carta e edições ilimitadas do currículo.',
+    precoCentavos: 3990,
+    edicoesIlimitadas: true,
+    cartaInclusa: true
+  }
+];
+
+// Comprados depois, para um pedido já pago (checkout com "addon"). Sem
+// cupom: o desconto vale só para o produto do pedido.
+const ADICIONAIS = [
+  {
+    id: 'carta',
+    nome: 'Carta de Apresentação',
+    descricao: 'Carta de apresentação no mesmo estilo do currículo já comprado.',
+    precoCentavos: 1290
+  }
+];
+
+const DEFAULT_PRODUCT = 'pdf';
+
+// Dias, a partir do pagamento, para editar o currículo e gerar de novo sem
+// pagar outra vez (o pacote de edições ilimitadas não tem prazo).
+const DIAS_EDICAO = Number(process.env.EDIT_WINDOW_DAYS || 30);
+
+// Valor mínimo aceito pelo Stripe em BRL (R$ 0,50)
+const PRECO_MINIMO_CENTAVOS = 50;
+
+const TIPOS_CUPOM = ['percent', 'fixed'];
+
+function getProduto(id) {
+  return PRODUTOS.find((p) => p.id === id) || null;
+}
+
+function getAdicional(id) {
+  return ADICIONAIS.find((a) => a.id === id) || null;
+}
+
+function resumoCatalogo({ id, nome, descricao, precoCentavos }) {
+  return { id, nome, descricao, price: precoCentavos / 100 };
+}
+
+function listarProdutos() {
+  return PRODUTOS.map(resumoCatalogo);
+}
+
+function listarAdicionais() {
+  return ADICIONAIS.map(resumoCatalogo);
+}
+
+// Se a carta de apresentação já vem no produto (sem comprar o adicional)
+function incluiCarta(produtoId) {
+  return Boolean(getProduto(produtoId)?.cartaInclusa);
+}
+
+/**
+ * Prazo de edição do produto em dias.
+ * @returns {number|null} null = sem prazo
+ */
+function diasDeEdicao(produtoId) {
+  const produto = getProduto(produtoId);
+  return produto && produto.edicoesIlimitadas ? null : DIAS_EDICAO;
+}
+
+function normalizarCodigo(codigo) {
+  return typeof codigo === 'string' ? codigo.trim().toUpperCase() : '';
+}
+
+/**
+ * Verifica se o cupom pode ser usado agora para o produto.
+ * @returns {string|null} mensagem de erro ou null se for válido
+ */
+function validarCupom(cupom, produtoId, agora = new Date()) {
+  if (!cupom || !cupom.active) return 'Cupom inválido.';
+  if (cupom.expiresAt && new Date(cupom.expiresAt) <= agora) {
+    return 'Este cupom expirou.';
+  }
+  if (cupom.maxUses != null && cupom.uses >= cupom.maxUses) {
+    return 'Este cupom atingiu o limite de usos.';
+  }
+  if (Array.isArray(cupom.products) && cupom.products.length && !cupom.products.includes(produtoId)) {
+    return 'Este cupom não vale para o produto escolhido.';
+  }
+  return null;
+}
+
+/**
+ * Calcula o valor final do produto com o cupom (já validado) aplicado.
+ * @returns {{ originalPrice: number, discount: number, price: number }} em reais
+ */
+function calcularPreco(produto, cupom) {
+  const original = produto.precoCentavos;
+  let desconto = 0;
+
+  if (cupom) {
+    desconto =
+      cupom.type === 'percent'
+        ? Math.round((original * cupom.value) / 100)
+        : Math.round(cupom.value * 100);
+  }
+
+  desconto = Math.max(0, Math.min(desconto, original - PRECO_MINIMO_CENTAVOS));
+
+  return {
+    originalPrice: original / 100,
+    discount: desconto / 100,
+    price: (original - desconto) / 100
+  };
+}
+
+/**
+ * Valida os dados de criação de um cupom vindos do painel admin.
+ * @returns {{ cupom: object, erro: string|null }}
+ */
+function lerCupom(body) {
+  const code = normalizarCodigo(body.code);
+  const value = Number(body.value);
+  const maxUses =
+    body.maxUses === undefined || body.maxUses === null || body.maxUses === ''
+      ? null
+      : Number(body.maxUses);
+  const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+  const products = Array.isArray(body.products) ? body.products : [];
+
+  let erro = null;
+  if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+    erro = 'Código deve ter de 3 a 30 letras, números, "-" ou "_".';
+  } else if (!TIPOS_CUPOM.includes(body.type)) {
+    erro = 'Tipo deve ser "percent" ou "fixed".';
+  } else if (!Number.isFinite(value) || value <= 0) {
+    erro = 'Valor do desconto inválido.';
+  } else if (body.type === 'percent' && value > 100) {
+    erro = 'Desconto percentual não pode passar de 100.';
+  } else if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    erro = 'Limite de usos inválido.';
+  } else if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    erro = 'Data de expiração inválida.';
+  } else if (products.some((id) => !getProduto(id))) {
+    erro = 'Produto inválido na lista do cupom.';
+  }
+
+  return {
+    cupom: { code, type: body.type, value, maxUses, expiresAt, products },
+    erro
+  };
+}
+
+module.exports = {
+  DEFAULT_PRODUCT,
+  getProduto,
+  getAdicional,
+  listarProdutos,
+  listarAdicionais,
+  incluiCarta,
+  diasDeEdicao,
+  normalizarCodigo,
+  validarCupom,
+  calcularPreco,
+  lerCupom
+};
@@ -0,0 +1,171 @@
+// lib/tema.js - TEMA DO CURRÍCULO (cor de destaque, fontes e espaçamento)
+//
+// O pedido guarda o tema escolhido no criador em Order.theme:
+// { accentColor: '#RRGGBB', fontPair: 'inter', density: 'compact' }.
+// Campo vazio vale o visual padrão do modelo.
+// As fontes são TTF embutidas no PDF (pasta fontes/, licença OFL). Ao
+// contrário da Helvetica/Times padrão do PDF, cobrem nomes como "Łukasz" ou
+// "Nguyễn". Os modelos pedem a fonte pelo papel ('titulo', 'texto',
+// 'negrito', 'italico') e registrarFontes() liga cada papel à fonte certa.
+
+const path = require('path');
+
+const PASTA_FONTES = path.join(__dirname, '..', 'fontes');
+
+// Fontes padrão do PDF (sem arquivo), por papel, usadas pelos modelos
+const FONTES_PDF = {
+  helvetica: {
+    titulo: 'Helvetica-Bold',
+    texto: 'Helvetica',
+    negrito: 'Helvetica-Bold',
+    italico: 'Helvetica-Oblique'
+  },
+  times: {
+    titulo: 'Times-Bold',
+    texto: 'Times-Roman',
+    negrito: 'Times-Bold',
+    italico: 'Times-Italic'
+  }
+};
+
+// Pares de fontes (títulos + texto). familia = pasta em fontes/
+const PARES_FONTES = [
+  { id: 'inter', nome: 'Inter', titulos: 'Inter', texto: 'Inter' },
+  { id: 'roboto', nome: 'Roboto', titulos: 'Roboto', texto: 'Roboto' },
+  { id: 'source-serif', nome: 'Source Serif', titulos: 'SourceSerif4', texto: 'SourceSerif4' },
+  {
+    id: 'source-serif-inter',
+    nome: 'Source Serif + Inter',
+    titulos: 'SourceSerif4',
+    texto: 'Inter'
+  }
+];
+
+// entrelinha: lineGap do PDFKit; espaco: multiplica os moveDown() dos modelos
+const DENSIDADES = [
+  { id: 'compact', nome: 'Compacto', entrelinha: 0, espaco: 0.6 },
+  { id: 'normal', nome: 'Normal', entrelinha: 0, espaco: 1 },
+  { id: 'spacious', nome: 'Espaçoso', entrelinha: 1.5, espaco: 1.4 }
+];
+
+const COR_RE = /^#[0-9a-f]{6}$/i;
+
+function arquivoFonte(familia, estilo) {
+  return path.join(PASTA_FONTES, familia, `${familia}-${estilo}.ttf`);
+}
+
+/**
+ * Valida o tema enviado pelo criador. Sem tema (null/undefined), vale o
+ * visual do modelo; campo vazio também.
+ * @returns {{ tema: { accentColor?: string, fontPair?: string, density?: string }|null,
+ *   erro: string|null }}
+ */
+function validarTema(bruto) {
+  if (bruto === undefined || bruto === null) return { tema: null, erro: null };
+  if (typeof bruto !== 'object' || Array.isArray(bruto)) {
+    return { tema: null, erro: 'Tema inválido.' };
+  }
+
+  const { accentColor, fontPair, density } = bruto;
+  const tema = {};
+
+  if (accentColor) {
+    if (typeof accentColor !== 'string' || !COR_RE.test(accentColor)) {
+      return { tema: null, erro: 'Cor de destaque inválida (use o formato #RRGGBB).' };
+    }
+    tema.accentColor = accentColor.toUpperCase();
+  }
+  if (fontPair) {
+    if (!PARES_FONTES.some(({ id }) => id === fontPair)) {
+      return { tema: null, erro: 'Par de fontes inválido.' };
+    }
+    tema.fontPair = fontPair;
+  }
+  if (density) {
+    if (!DENSIDADES.some(({ id }) => id === density)) {
+      return { tema: null, erro: 'Densidade inválida.' };
+    }
+    tema.density = density;
+  }
+
+  return { tema: Object.keys(tema).length ? tema : null, erro: null };
+}
+
+/**
+ * Registra no documento as fontes de cada papel: as do par escolhido ou,
+ * sem par, as padrão do modelo (template.fontes).
+ */
+function registrarFontes(doc, fontesDoModelo, fontPair) {
+  const par = PARES_FONTES.find(({ id }) => id === fontPair);
+  const fontes = par
+    ? {
+        titulo: arquivoFonte(par.titulos, 'Bold'),
+        texto: arquivoFonte(par.texto, 'Regular'),
+        negrito: arquivoFonte(par.texto, 'Bold'),
+        italico: arquivoFonte(par.texto, 'Italic')
+      }
+    : fontesDoModelo || FONTES_PDF.helvetica;
+
+  Object.entries(fontes).forEach(([papel, fonte]) => doc.registerFont(papel, fonte));
+  doc.font('texto');
+}
+
+// Entrelinha e espaço entre blocos. Os modelos só usam moveDown(), então
+// basta escalar o moveDown deste documento.
+function aplicarDensidade(doc, density) {
+  const { entrelinha, espaco } =
+    DENSIDADES.find(({ id }) => id === density) || DENSIDADES.find(({ id }) => id === 'normal');
+
+  doc.lineGap(entrelinha);
+  if (espaco === 1) return;
+  const moveDown = doc.moveDown.bind(doc);
+  doc.moveDown = (linhas = 1) => moveDown(linhas * espaco);
+}
+
+/**
+ * Aplica o tema do pedido ao documento, antes do render do modelo.
+ * @param {object} template modelo de templates/ (usa template.fontes)
+ * @param {{ fontPair?: string, density?: string }} [tema]
+ */
+function aplicarTema(doc, template, tema) {
+  registrarFontes(doc, template.fontes, tema?.fontPair);
+  aplicarDensidade(doc, tema?.density);
+}
+
+/**
+ * Mistura a cor com branco, ex.: faixa clara no tom do destaque.
+ * @param {string} cor '#RRGGBB'
+ * @param {number} quanto 0 (a própria cor) a 1 (branco)
+ */
+function clarear(cor, quanto) {
+  const canais = [1, 3, 5].map((i) => parseInt(cor.slice(i, i + 2), 16));
+  return (
+    '#' +
+    canais
+      .map((canal) => Math.round(canal + (255 - canal) * quanto))
+      .map((canal) => canal.toString(16).padStart(2, '0'))
+      .join('')
+  );
+}
+
+// Catálogo público (GET /api/themes)
+function listarTemas() {
+  return {
+    fontPairs: PARES_FONTES.map(({ id, nome, titulos, texto }) => ({
+      id,
+      nome,
+      titulos: `/fontes/${titulos}/${titulos}-Bold.ttf`,
+      texto: `/fontes/${texto}/${texto}-Regular.ttf`
+    })),
+    densities: DENSIDADES.map(({ id, nome }) => ({ id, nome })),
+    defaultDensity: 'normal'
+  };
+}
+
+module.exports = {
+  FONTES_PDF,
+  validarTema,
+  aplicarTema,
+  clarear,
+  listarTemas
+};
@@ -0,0 +1,298 @@
+// lib/traducoes.js - IDIOMAS DO CURRÍCULO (pt-BR, en, es)
+//
+// O pedido guarda o idioma (Order.locale) e tudo que o sistema escreve no
+// documento sai daqui: títulos das seções dos modelos, rótulos fixos, datas,
+// "Atual", as partes fixas da carta e o idioma pedido nos prompts da IA.
+// O conteúdo digitado pelo cliente nunca é traduzido.
+// Chave sem tradução em um idioma cai no pt-BR (e, sem ela, na própria
+// chave), então um texto novo nunca quebra o PDF.
+
+const DEFAULT_LOCALE = 'pt-BR';
+
+const LOCALES = [
+  { id: 'pt-BR', nome: 'Português (Brasil)', idiomaPrompt: 'português do Brasil' },
+  { id: 'en', nome: 'English', idiomaPrompt: 'inglês' },
+  { id: 'es', nome: 'Español', idiomaPrompt: 'espanhol' }
+];
+
+// Textos com {marcadores}, preenchidos por traduzir()
+const TEXTOS = {
+  'pt-BR': {
+    secoes: {
+      objetivo: 'Objetivo',
+      objetivoProfissional: 'Objetivo Profissional',
+      resumo: 'Resumo',
+      resumoExecutivo: 'Resumo Executivo',
+      perfil: 'Perfil',
+      experiencias: 'Experiência Profissional',
+      experiencia: 'Experiência',
+      trajetoria: 'Trajetória Profissional',
+      formacoes: 'Formação Acadêmica',
+      educacao: 'Educação',
+      habilidades: 'Habilidades',
+      habilidadesCompetencias: 'Habilidades e Competências',
+      competencias: 'Competências',
+      cursos: 'Cursos',
+      cursosComplementares: 'Cursos Complementares',
+      complementar: 'Informação Complementar',
+      desenvolvimento: 'Desenvolvimento Profissional',
+      idiomas: 'Idiomas',
+      redesSociais: 'Perfis Online',
+      outros: 'Outras Informações'
+    },
+    rotulos: {
+      nomeProfissional: 'Nome do Profissional',
+      nomeCompleto: 'Nome Completo',
+      contato: 'Contato',
+      email: 'E-mail',
+      telefone: 'Telefone',
+      endereco: 'Endereço',
+      localizacao: 'Localização',
+      linkedin: 'LinkedIn',
+      site: 'Site',
+      atual: 'Atual',
+      curriculo: 'Currículo',
+      // "Analista na ACME"
+      cargoNaEmpresa: '{cargo} na {empresa}'
+    },
+    carta: {
+      aosCuidados: 'A/C {destinatario}',
+      assunto: 'Assunto: candidatura à vaga de {cargo}',
+      saudacao: 'Prezado(a) {destinatario},',
+      saudacaoGeral: 'Prezados(as),',
+      despedida: 'Atenciosamente,',
+      vagaCargo: 'à vaga de {cargo}',
+      vagaGenerica: 'a uma oportunidade',
+      naEmpresa: ' na {empresa}',
+      abertura: 'Venho apresentar minha candidatura {vaga}{empresa}.',
+      atuo: 'Atuo como {experiencia}',
+      atuei: 'Atuei como {experiencia}',
+      anteriores: ', e antes passei por {experiencias}',
+      e: ' e ',
+      resultados: 'Nessas experiências desenvolvi resultados que posso trazer para o time.',
+      encerramento:
+        'Envio meu currículo em anexo e fico à disposição para uma conversa. Agradeço a atenção.'
+    }
+  },
+
+  en: {
+    secoes: {
+      objetivo: 'Objective',
+      objetivoProfissional: 'Professional Objective',
+      resumo: 'Summary',
+      resumoExecutivo: 'Executive Summary',
+      perfil: 'Profile',
+      experiencias: 'Professional Experience',
+      experiencia: 'Experience',
+      trajetoria: 'Career History',
+      formacoes: 'Education',
+      educacao: 'Education',
+      habilidades: 'Skills',
+      habilidadesCompetencias: 'Skills and Competencies',
+      competencias: 'Core Competencies',
+      cursos: 'Courses',
+      cursosComplementares: 'Additional Courses',
+      complementar: 'Additional Information',
+      desenvolvimento: 'Professional Development',
+      idiomas: 'Languages',
+      redesSociais: 'Online Profiles',
+      outros: 'Additional Details'
+    },
+    rotulos: {
+      nomeProfissional: 'Professional Name',
+      nomeCompleto: 'Full Name',
+      contato: 'Contact',
+      email: 'Email',
+      telefone: 'Phone',
+      endereco: 'Address',
+      localizacao: 'Location',
+      linkedin: 'LinkedIn',
+      site: 'Website',
+      atual: 'Present',
+      curriculo: 'Resume',
+      cargoNaEmpresa: '{cargo} at {empresa}'
+    },
+    carta: {
+      aosCuidados: 'Attn: {destinatario}',
+      assunto: 'Subject: application for the {cargo} position',
+      saudacao: 'Dear {destinatario},',
+      saudacaoGeral: 'Dear Hiring Manager,',
+      despedida: 'Sincerely,',
+      vagaCargo: 'for the {cargo} position',
+      vagaGenerica: 'for a position',
+      naEmpresa: ' at {empresa}',
+      abertura: 'I am writing to apply {vaga}{empresa}.',
+      atuo: 'I currently work as {experiencia}',
+      atuei: 'I worked as {experiencia}',
+      anteriores: ', and previously as {experiencias}',
+      e: ' and ',
+      resultados: 'In these roles I delivered results that I can bring to your team.',
+      encerramento:
+        'Please find my resume attached. I would welcome the chance to talk, and thank you for your consideration.'
+    }
+  },
+
+  es: {
+    secoes: {
+      objetivo: 'Objetivo',
+      objetivoProfissional: 'Objetivo Profesional',
+      resumo: 'Resumen',
+      resumoExecutivo: 'Resumen Ejecutivo',
+      perfil: 'Perfil',
+      experiencias: 'Experiencia Profesional',
+      experiencia: 'Experiencia',
+      trajetoria: 'Trayectoria Profesional',
+      formacoes: 'Formación Académica',
+      educacao: 'Educación',
+      habilidades: 'Habilidades',
+      habilidadesCompetencias: 'Habilidades y Competencias',
+      competencias: 'Competencias',
+      cursos: 'Cursos',
+      cursosComplementares: 'Cursos Complementarios',
+      complementar: 'Información Complementaria',
+      desenvolvimento: 'Desarrollo Profesional',
+      idiomas: 'Idiomas',
+      redesSociais: 'Perfiles en Línea',
+      outros: 'Otra Información'
+    },
+    rotulos: {
+      nomeProfissional: 'Nombre del Profesional',
+      nomeCompleto: 'Nombre Completo',
+      contato: 'Contacto',
+      email: 'Correo electrónico',
+      telefone: 'Teléfono',
+      endereco: 'Dirección',
+      localizacao: 'Ubicación',
+      linkedin: 'LinkedIn',
+      site: 'Sitio web',
+      atual: 'Actualidad',
+      curriculo: 'Currículum',
+      cargoNaEmpresa: '{cargo} en {empresa}'
+    },
+    carta: {
+      aosCuidados: 'A la atención de {destinatario}',
+      assunto: 'Asunto: candidatura al puesto de {cargo}',
+      saudacao: 'Estimado/a {destinatario}:',
+      saudacaoGeral: 'Estimados/as:',
+      despedida: 'Atentamente,',
+      vagaCargo: 'al puesto de {cargo}',
+      vagaGenerica: 'a una oportunidad',
+      naEmpresa: ' en {empresa}',
+      abertura: 'Me dirijo a ustedes para presentar mi candidatura {vaga}{empresa}.',
+      atuo: 'Trabajo como {experiencia}',
+      atuei: 'Trabajé como {experiencia}',
+      anteriores: ', y anteriormente como {experiencias}',
+      e: ' y ',
+      resultados: 'En estas experiencias obtuve resultados que puedo aportar al equipo.',
+      encerramento:
+        'Adjunto mi currículum y quedo a su disposición para conversar. Agradezco su atención.'
+    }
+  }
+};
+
+// Como o cliente escreve "até hoje" no fim de um período, em qualquer idioma
+const ATUAL_RE = /^(atual|atualmente|o momento|presente|present|current|now|actualidad|actual)$/i;
+// "01/2020", "1/2020" e "2020-01"
+const MES_ANO_RE = /^(\d{1,2})\/(\d{4})$/;
+const ANO_MES_RE = /^(\d{4})-(\d{2})$/;
+
+function lerMesAno(valor) {
+  const mesAno = MES_ANO_RE.exec(valor);
+  if (mesAno) return { mes: Number(mesAno[1]), ano: Number(mesAno[2]) };
+  const anoMes = ANO_MES_RE.exec(valor);
+  return anoMes ? { mes: Number(anoMes[2]), ano: Number(anoMes[1]) } : null;
+}
+
+// Fim de período vazio ou "Atual" (em qualquer idioma): ainda no cargo
+function emAndamento(fim) {
+  return !fim || ATUAL_RE.test(fim.trim());
+}
+
+function localeValido(locale) {
+  return LOCALES.some(({ id }) => id === locale);
+}
+
+// Idioma desconhecido (ou pedido antigo, sem idioma) -> pt-BR
+function resolverLocale(locale) {
+  return localeValido(locale) ? locale : DEFAULT_LOCALE;
+}
+
+function buscar(textos, chave) {
+  return chave.split('.').reduce((atual, parte) => atual?.[parte], textos);
+}
+
+/**
+ * Texto do catálogo no idioma pedido, com os {marcadores} preenchidos.
+ * @param {string} locale ex.: 'en'
+ * @param {string} chave ex.: 'secoes.experiencias'
+ * @param {object} [valores] ex.: { cargo: 'Analista' }
+ */
+function traduzir(locale, chave, valores = {}) {
+  const texto =
+    buscar(TEXTOS[resolverLocale(locale)], chave) ?? buscar(TEXTOS[DEFAULT_LOCALE], chave) ?? chave;
+  return texto.replace(/\{(\w+)\}/g, (marcador, nome) => valores[nome] ?? '');
+}
+
+/**
+ * Data de início/fim de um período no formato do idioma: "01/2020" vira
+ * "Jan 2020" em inglês e "ene 2020" em espanhol (pt-BR fica como está);
+ * "Atual" e equivalentes viram o "Atual" do idioma. Texto livre ("2019",
+ * "Verão de 2020") sai como foi digitado.
+ */
+function formatarData(valor, locale) {
+  if (!valor) return '';
+  const idioma = resolverLocale(locale);
+  if (ATUAL_RE.test(valor.trim())) return traduzir(idioma, 'rotulos.atual');
+
+  const data = lerMesAno(valor.trim());
+  if (!data || data.mes < 1 || data.mes > 12) return valor;
+  const { mes, ano } = data;
+
+  if (idioma === DEFAULT_LOCALE) return `${String(mes).padStart(2, '0')}/${ano}`;
+  return new Date(Date.UTC(ano, mes - 1, 1))
+    .toLocaleDateString(idioma, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    .replace('.', '');
+}
+
+// "01/2020 - Atual" -> "Jan 2020 - Present"
+function formatarPeriodo(inicio, fim, locale) {
+  return [formatarData(inicio, locale), formatarData(fim, locale)].filter(Boolean).join(' - ');
+}
+
+// Data por extenso, ex.: na carta ("19 de outubro de 2026", "October 19, 2026")
+function dataPorExtenso(data, locale) {
+  return data.toLocaleDateString(resolverLocale(locale), {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+// Idioma da resposta pedido nos prompts da IA ("Responda em inglês")
+function idiomaDoPrompt(locale) {
+  return LOCALES.find(({ id }) => id === resolverLocale(locale)).idiomaPrompt;
+}
+
+// Catálogo público (GET /api/locales): o criador monta a prévia rápida com
+// os mesmos títulos e rótulos do PDF
+function listarLocales() {
+  return LOCALES.map(({ id, nome }) => ({
+    id,
+    nome,
+    secoes: TEXTOS[id].secoes,
+    rotulos: TEXTOS[id].rotulos
+  }));
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  localeValido,
+  resolverLocale,
+  traduzir,
+  formatarData,
+  formatarPeriodo,
+  emAndamento,
+  dataPorExtenso,
+  idiomaDoPrompt,
+  listarLocales
+};
@@ -0,0 +1,322 @@
+// lib/vaga.js - COMPARAÇÃO DO CURRÍCULO COM UMA VAGA (sem IA)
+//
+// Extrai as palavras-chave do texto da vaga, procura cada uma no currículo
+// e calcula a nota de aderência (0 a 100). Tudo local e determinístico: a
+// IA (lib/ia, tarefa "vaga") é só uma camada opcional de sugestões.
+//
+// - Termos nas seções de requisitos pesam mais; benefícios e "sobre a
+//   empresa" não contam.
+// - Termos de várias palavras entram quando são conhecidos (TERMOS_COMPOSTOS)
+//   ou se repetem na vaga; as palavras soltas que os formam saem da lista.
+// - A comparação ignora acentos, maiúsculas e plural simples ("APIs" = "api").
+
+const { temItens } = require('../templates/helpers');
+
+const MAX_PALAVRAS_CHAVE = 20;
+const MAX_VAGA = 10000;
+
+// Peso de cada ocorrência conforme a seção da vaga
+const PESOS = { requisitos: 3, diferenciais: 1, geral: 1, ignorar: 0 };
+
+// Títulos de seção -> tipo (testados sem acento, em minúsculas)
+const SECOES = [
+  [/requisit|obrigatori|qualifica|exigid|required|requirements|must have|o que buscamos|o que esperamos/, 'requisitos'],
+  [/diferencia|desejave|nice to have|bonus|preferred|plus/, 'diferenciais'],
+  [/benefici|oferecemos|we offer|sobre a empresa|sobre nos|about us|remunera|salario|perks/, 'ignorar'],
+  [/atividades|responsabilidades|atribuicoes|responsibilities|o que voce vai fazer|descricao/, 'geral']
+];
+
+const STOPWORDS = new Set(
+  `a o as os um uma uns umas de da do das dos em na no nas nos num numa por pela pelo pelas pelos para pra com sem sob sobre entre ate apos e ou mas que se como mais menos muito muita muitos muitas ja nao sim ser estar ter haver sera sao esta estao tem temos voce voces nosso nossa nossos nossas seu sua seus suas ele ela eles elas isso isto esse essa este esta aquele aquela onde quando qual quais quem cada todo toda todos todas outro outra outros outras mesmo mesma bem the of and or to in on for with at by from as an is are be will you your our we us this that it its into within about have has can must should would
+  vaga vagas empresa empresas candidato candidata candidatos pessoa pessoas profissional profissionais experiencia experiencias conhecimento conhecimentos conhecer habilidade habilidades capacidade requisito requisitos obrigatorio obrigatoria desejavel desejaveis diferencial diferenciais area areas atuacao atuar atividade atividades responsabilidade responsabilidades trabalho trabalhar time equipe buscamos procuramos oportunidade oportunidades nivel anos ano meses local modelo regime contratacao clt pj hibrido presencial remoto beneficios salario bom boa bons boas forte fortes solido solida solidos solidas dominio vivencia familiaridade etc ex exemplo dia dias role job team work experience knowledge skills skill years strong good plus requirements required responsibilities`.split(
+    /\s+/
+  )
+);
+
+// Verbos de anúncio ("criar", "apoiar"): não são palavra-chave sozinhos
+const VERBOS = new Set(
+  `apoiar atuar acompanhar auxiliar buscar colaborar construir contribuir criar desenvolver elaborar executar fazer garantir identificar implementar manter participar propor realizar suportar build create develop ensure help support`.split(
+    /\s+/
+  )
+);
+
+// Níveis só valem no fim de um termo composto ("inglês avançado")
+const NIVEIS = new Set(
+  `basico intermediario avancado fluente nativo junior pleno senior especialista trainee estagiario estagio`.split(
+    /\s+/
+  )
+);
+
+// Termos de várias palavras reconhecidos mesmo com uma só ocorrência
+const TERMOS_COMPOSTOS = [
+  'power bi', 'machine learning', 'deep learning', 'ciencia de dados', 'analise de dados',
+  'banco de dados', 'bancos de dados', 'engenharia de dados', 'inteligencia artificial',
+  'gestao de projetos', 'gestao de pessoas', 'gestao de equipes', 'atendimento ao cliente',
+  'pacote office', 'excel avancado', 'google analytics', 'google ads', 'marketing digital',
+  'trabalho em equipe', 'react native', 'spring boot', 'ruby on rails', 'design system',
+  'ux design', 'ui design', 'sql server', 'controle de qualidade', 'testes automatizados',
+  'metodologias ageis', 'lideranca de equipe', 'resolucao de problemas', 'contas a pagar',
+  'contas a receber', 'fluxo de caixa', 'departamento pessoal', 'recrutamento e selecao',
+  'ingles avancado', 'ingles fluente', 'ingles intermediario', 'espanhol avancado',
+  'carteira de habilitacao', 'cnh b', 'seguranca da informacao', 'suporte tecnico'
+];
+
+// Conectores aceitos no meio de um termo composto ("gestão de projetos")
+const CONECTORES = new Set(['de', 'da', 'do', 'das', 'dos', 'e', 'em', 'a', 'ao', 'on']);
+
+const TOKEN_RE = /[\p{L}\p{N}][\p{L}\p{N}+#./-]*[\p{L}\p{N}+#]|[\p{L}\p{N}]/gu;
+
+function semAcento(texto) {
+  return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Plural simples: "apis" -> "api", "relatorios" -> "relatorio"
+function raiz(token) {
+  return token.length > 4 && token.endsWith('s') && !token.endsWith('ss')
+    ? token.slice(0, -1)
+    : token;
+}
+
+// [{ original, chave }] de um texto; chave = sem acento e no singular
+function tokenizar(texto) {
+  return (String(texto || '').toLowerCase().match(TOKEN_RE) || []).map((original) => ({
+    original,
+    chave: raiz(semAcento(original))
+  }));
+}
+
+function ehRelevante(token, { final = false } = {}) {
+  const base = semAcento(token.original);
+  if (STOPWORDS.has(base) || STOPWORDS.has(token.chave) || VERBOS.has(base)) return false;
+  if (NIVEIS.has(base)) return final;
+  if (/^\d+$/.test(base)) return false;
+  // Siglas curtas só com letras ("ti", "rh") passam; letras soltas não
+  return base.length >= 2 || /[+#]/.test(base);
+}
+
+function secaoDaLinha(linha) {
+  const curta = linha.length <= 60;
+  const base = semAcento(linha.toLowerCase());
+  if (!curta && !/:$/.test(linha)) return null;
+  const achou = SECOES.find(([re]) => re.test(base));
+  return achou ? achou[1] : null;
+}
+
+/**
+ * Palavras-chave da vaga, da mais para a menos importante.
+ * @param {string} texto descrição da vaga (copiada do anúncio)
+ * @returns {{ titulo: string, palavrasChave: Array<{ termo: string,
+ *   chave: string, peso: number, obrigatoria: boolean }> }}
+ */
+function extrairPalavrasChave(texto) {
+  const linhas = String(texto || '')
+    .slice(0, MAX_VAGA)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  const compostos = new Set(TERMOS_COMPOSTOS.map((t) => tokenizar(t).map((k) => k.chave).join(' ')));
+  const termos = new Map(); // chave -> { termo, chave, peso, ocorrencias, obrigatoria, ordem, partes }
+  let secao = 'geral';
+
+  function somar(tokens, peso, tipoSecao) {
+    const chave = tokens.map((t) => t.chave).join(' ');
+    const atual = termos.get(chave) || {
+      termo: tokens.map((t) => t.original).join(' '),
+      chave,
+      peso: 0,
+      ocorrencias: 0,
+      obrigatoria: false,
+      ordem: termos.size,
+      partes: tokens.length
+    };
+    atual.peso += peso;
+    atual.ocorrencias += 1;
+    if (tipoSecao === 'requisitos') atual.obrigatoria = true;
+    termos.set(chave, atual);
+  }
+
+  linhas.forEach((linha) => {
+    const novaSecao = secaoDaLinha(linha);
+    if (novaSecao) {
+      secao = novaSecao;
+      // Título de seção puro ("Requisitos:") não tem conteúdo
+      if (linha.length <= 40) return;
+    }
+    const peso = PESOS[secao];
+    if (!peso) return;
+
+    const tokens = tokenizar(linha);
+    tokens.forEach((token, i) => {
+      if (ehRelevante(token)) somar([token], peso, secao);
+
+      // Pares e trios ("power bi", "gestão de projetos")
+      [2, 3].forEach((n) => {
+        const grupo = tokens.slice(i, i + n);
+        if (grupo.length < n) return;
+        const [primeiro, ...resto] = grupo;
+        const ultimo = resto[resto.length - 1];
+        if (!ehRelevante(primeiro) || !ehRelevante(ultimo, { final: true })) return;
+        if (n === 3 && !CONECTORES.has(semAcento(grupo[1].original))) return;
+        somar(grupo, peso, secao);
+      });
+    });
+  });
+
+  // Compostos: os conhecidos ou repetidos na vaga
+  const escolhidos = [...termos.values()].filter(
+    (t) => t.partes === 1 || compostos.has(t.chave) || t.ocorrencias >= 2
+  );
+  // Palavras soltas que só aparecem dentro de um composto escolhido saem
+  const dentroDeCompostos = new Map();
+  escolhidos
+    .filter((t) => t.partes > 1)
+    .forEach((t) => {
+      t.chave.split(' ').forEach((parte) => {
+        dentroDeCompostos.set(parte, (dentroDeCompostos.get(parte) || 0) + t.ocorrencias);
+      });
+    });
+
+  const palavrasChave = escolhidos
+    .filter((t) => t.partes > 1 || (dentroDeCompostos.get(t.chave) || 0) < t.ocorrencias)
+    .sort((a, b) => b.peso - a.peso || a.ordem - b.ordem)
+    .slice(0, MAX_PALAVRAS_CHAVE)
+    .map(({ termo, chave, peso, obrigatoria }) => ({ termo, chave, peso, obrigatoria }));
+
+  // Primeira linha curta costuma ser o cargo ("Analista de Dados Pleno")
+  const titulo = linhas[0] && linhas[0].length <= 80 && !secaoDaLinha(linhas[0]) ? linhas[0] : '';
+
+  return { titulo, palavrasChave };
+}
+
+// Textos do currículo por seção, já tokenizados
+function partesDoCurriculo(dados) {
+  const lista = (valor) => (temItens(valor) ? valor : []);
+  const juntar = (itens, campos) =>
+    lista(itens)
+      .map((item) => campos.map((c) => item[c] || '').join(' '))
+      .join(' \n ');
+
+  return {
+    habilidades: tokenizar(lista(dados.habilidades).join(' , ')),
+    experiencias: tokenizar(juntar(dados.experiencias, ['cargo', 'empresa', 'descricao'])),
+    objetivo: tokenizar(dados.objetivo?.texto),
+    formacao: tokenizar(
+      `${juntar(dados.formacoes, ['curso', 'instituicao'])} ${juntar(dados.cursos, ['nome', 'instituicao'])}`
+    ),
+    idiomas: tokenizar(juntar(dados.idiomas, ['nome', 'nivel'])),
+    extras: tokenizar(
+      [
+        ...lista(dados.extras),
+        ...lista(dados.secoesPersonalizadas).map(
+          (secao) => `${secao.titulo} \n ${juntar(secao.itens, ['nome', 'descricao'])}`
+        )
+      ].join(' \n ')
+    )
+  };
+}
+
+function contem(tokens, chave) {
+  const alvo = chave.split(' ');
+  for (let i = 0; i + alvo.length <= tokens.length; i += 1) {
+    if (alvo.every((parte, j) => tokens[i + j].chave === parte)) return true;
+  }
+  return false;
+}
+
+function lista(itens, max = 5) {
+  const nomes = itens.slice(0, max).map((t) => `"${t.termo}"`);
+  return nomes.length > 1
+    ? `${nomes.slice(0, -1).join(', ')} e ${nomes[nomes.length - 1]}`
+    : nomes[0];
+}
+
+function sugerirAjustes({ dados, titulo, palavrasChave, nota }) {
+  const sugestoes = [];
+  const faltando = palavrasChave.filter((p) => !p.encontrada);
+  const obrigatoriasFaltando = faltando.filter((p) => p.obrigatoria);
+  const soEmHabilidades = palavrasChave.filter(
+    (p) => p.onde.includes('habilidades') && !p.onde.includes('experiencias')
+  );
+
+  if (obrigatoriasFaltando.length) {
+    sugestoes.push(
+      `Requisitos da vaga que não aparecem no currículo: ${lista(obrigatoriasFaltando)}. ` +
+        'Se você tem essa experiência, inclua em Habilidades e mostre numa experiência onde usou.'
+    );
+  } else if (faltando.length) {
+    sugestoes.push(
+      `Termos da vaga ausentes no currículo: ${lista(faltando)}. Inclua os que fizerem parte da sua experiência.`
+    );
+  }
+
+  if (soEmHabilidades.length) {
+    sugestoes.push(
+      `${lista(soEmHabilidades, 3)} ${soEmHabilidades.length > 1 ? 'aparecem' : 'aparece'} só em Habilidades. ` +
+        'Cite onde você usou em alguma experiência, com o resultado.'
+    );
+  }
+
+  if (titulo) {
+    const cargo = tokenizar(titulo).filter(ehRelevante);
+    const objetivo = tokenizar(dados.objetivo?.texto);
+    if (cargo.length && !cargo.every((t) => contem(objetivo, t.chave))) {
+      sugestoes.push(`Cite o cargo "${titulo}" no objetivo profissional.`);
+    }
+  }
+
+  const descricoes = (temItens(dados.experiencias) ? dados.experiencias : [])
+    .map((e) => e.descricao || '')
+    .join(' ');
+  if (descricoes && !/\d/.test(descricoes)) {
+    sugestoes.push(
+      'Nenhuma experiência tem números: inclua metas, percentuais ou volumes (ex.: "reduzi o prazo em 20%").'
+    );
+  }
+
+  if (nota >= 80 && !obrigatoriasFaltando.length) {
+    sugestoes.push('O currículo já cobre bem a vaga. Revise a ordem das experiências e das habilidades.');
+  }
+  return sugestoes;
+}
+
+/**
+ * Compara o currículo (normalizado) com o texto da vaga.
+ * @returns {{ nota: number, titulo: string, palavrasChave: Array<{ termo,
+ *   obrigatoria, encontrada, onde: string[] }>, faltando: string[],
+ *   sugestoes: string[] }}
+ */
+function compararComVaga(dados, textoVaga) {
+  const { titulo, palavrasChave } = extrairPalavrasChave(textoVaga);
+  const partes = partesDoCurriculo(dados);
+
+  const avaliadas = palavrasChave.map((p) => {
+    const onde = Object.keys(partes).filter((secao) => contem(partes[secao], p.chave));
+    return { ...p, encontrada: onde.length > 0, onde };
+  });
+
+  // Requisitos contam em dobro na nota
+  const peso = (p) => (p.obrigatoria ? 2 : 1);
+  const total = avaliadas.reduce((soma, p) => soma + peso(p), 0);
+  const achado = avaliadas.filter((p) => p.encontrada).reduce((soma, p) => soma + peso(p), 0);
+  const nota = total ? Math.round((achado / total) * 100) : 0;
+
+  return {
+    nota,
+    titulo,
+    palavrasChave: avaliadas.map(({ termo, obrigatoria, encontrada, onde }) => ({
+      termo,
+      obrigatoria,
+      encontrada,
+      onde
+    })),
+    faltando: avaliadas.filter((p) => !p.encontrada).map((p) => p.termo),
+    sugestoes: sugerirAjustes({ dados, titulo, palavrasChave: avaliadas, nota })
+  };
+}
+
+module.exports = {
+  MAX_VAGA,
+  extrairPalavrasChave,
+  compararComVaga
+};
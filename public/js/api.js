@@ -15,24 +15,292 @@ async function createOrder(payload) {
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
-    throw new Error(err.error || 'Erro ao criar pedido.');
+    const error = new Error(err.error || 'Erro ao criar pedido.');
+    // 422: erros por campo, ex.: { 'dadosPessoais.email': 'E-mail inválido.' }
+    error.fields = err.fields || null;
+    throw error;
   }
   return res.json();
 }
 
-async function getOrder(orderId) {
-  const res = await fetch(`${API_BASE}/api/order/${orderId}`);
+// ---------- RASCUNHOS ("salvar e continuar depois") ----------
+function draftHeaders(token, extra = {}) {
+  return { ...extra, 'X-Draft-Token': token || '' };
+}
+
+async function draftRequest(url, options, mensagem) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || mensagem);
+    // 404: rascunho expirado ou link inválido
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+}
+
+// Retorna { draftId, token, url, expiresAt }; a url é o link privado
+async function createDraft(payload) {
+  return draftRequest(
+    `${API_BASE}/api/drafts`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    },
+    'Erro ao salvar rascunho.'
+  );
+}
+
+async function getDraft(draftId, token) {
+  return draftRequest(
+    `${API_BASE}/api/drafts/${draftId}`,
+    { headers: draftHeaders(token) },
+    'Rascunho não encontrado.'
+  );
+}
+
+async function updateDraft(draftId, token, payload) {
+  return draftRequest(
+    `${API_BASE}/api/drafts/${draftId}`,
+    {
+      method: 'PUT',
+      headers: draftHeaders(token, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    },
+    'Erro ao salvar rascunho.'
+  );
+}
+
+async function deleteDraft(draftId, token) {
+  return draftRequest(
+    `${API_BASE}/api/drafts/${draftId}`,
+    { method: 'DELETE', headers: draftHeaders(token) },
+    'Erro ao excluir rascunho.'
+  );
+}
+
+async function getTemplates() {
+  const res = await fetch(`${API_BASE}/api/templates`);
+  if (!res.ok) throw new Error('Erro ao carregar modelos de currículo.');
+  return res.json();
+}
+
+// Idiomas do currículo, com os títulos e rótulos de cada um (prévia rápida)
+async function getLocales() {
+  const res = await fetch(`${API_BASE}/api/locales`);
+  if (!res.ok) throw new Error('Erro ao carregar idiomas do currículo.');
+  return res.json();
+}
+
+// Pares de fontes e densidades aceitos no tema do currículo
+async function getThemes() {
+  const res = await fetch(`${API_BASE}/api/themes`);
+  if (!res.ok) throw new Error('Erro ao carregar temas.');
+  return res.json();
+}
+
+async function getProducts() {
+  const res = await fetch(`${API_BASE}/api/products`);
+  if (!res.ok) throw new Error('Erro ao carregar produtos.');
+  return res.json();
+}
+
+// ---------- CONTA DO CLIENTE (login por link no e-mail) ----------
+const SESSION_KEY = 'mycurriculo_sessao';
+
+function getSessionToken() {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+function authHeaders(extra = {}) {
+  const sessao = getSessionToken();
+  return sessao ? { ...extra, Authorization: `Bearer ${sessao}` } : extra;
+}
+
+// Token de acesso do pedido (devolvido pelo create-order e levado na URL
+// da pagamento.html). Sem ele, só o dono logado acessa; senão o backend
+// responde 404.
+function orderHeaders(token, extra = {}) {
+  return authHeaders({ ...extra, 'X-Order-Token': token || '' });
+}
+
+// Link para uma página do pedido ("pagamento.html", "criador.html"),
+// levando o token só quando existe.
+function linkPedido(pagina, orderId, token) {
+  const params = new URLSearchParams({ orderId });
+  if (token) params.set('token', token);
+  return `${pagina}?${params}`;
+}
+
+async function requestLogin(email) {
+  const res = await fetch(`${API_BASE}/api/auth/login`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ email })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao enviar link de acesso.');
+  }
+  return data;
+}
+
+// Troca o token do link do e-mail por uma sessão, guardada no navegador
+async function verifyLogin(token) {
+  const res = await fetch(`${API_BASE}/api/auth/verify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ token })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Link de acesso inválido.');
+  }
+  localStorage.setItem(SESSION_KEY, data.sessionToken);
+  return data;
+}
+
+async function logout() {
+  await fetch(`${API_BASE}/api/auth/logout`, {
+    method: 'POST',
+    headers: authHeaders()
+  }).catch(() => {});
+  localStorage.removeItem(SESSION_KEY);
+}
+
+async function getMe() {
+  const res = await fetch(`${API_BASE}/api/me`, { headers: authHeaders() });
+  if (res.status === 401) {
+    // Sessão expirada ou encerrada em outro lugar
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+  if (!res.ok) throw new Error('Erro ao carregar sua conta.');
+  return res.json();
+}
+
+async function getMyOrders() {
+  const res = await fetch(`${API_BASE}/api/me/orders`, { headers: authHeaders() });
+  if (!res.ok) throw new Error('Erro ao carregar seus pedidos.');
+  return res.json();
+}
+
+// ---------- PEDIDOS ----------
+
+async function getOrder(orderId, token) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}`, {
+    headers: orderHeaders(token)
+  });
+  if (!res.ok) throw new Error('Pedido não encontrado.');
+  return res.json();
+}
+
+// Acompanha o status do pedido em tempo real: SSE em
+// /api/order/:id/events e, se o navegador não tiver EventSource, se não
+// houver token (dono logado: o EventSource não manda headers) ou se a
+// conexão cair várias vezes, consulta GET /api/order/:id a cada 5 s.
+// onStatus recebe o mesmo objeto de getOrder. Retorna a função que para.
+function watchOrder(orderId, token, onStatus) {
+  const INTERVALO_POLLING = 5000;
+  let fonte = null;
+  let timer = null;
+  let parado = false;
+  let falhas = 0;
+
+  const consultar = () => {
+    getOrder(orderId, token)
+      .then((order) => !parado && onStatus(order))
+      .catch(() => {})
+      .finally(() => {
+        if (!parado) timer = setTimeout(consultar, INTERVALO_POLLING);
+      });
+  };
+
+  const usarPolling = () => {
+    if (fonte) fonte.close();
+    fonte = null;
+    if (!timer && !parado) timer = setTimeout(consultar, INTERVALO_POLLING);
+  };
+
+  if (window.EventSource && token) {
+    const params = new URLSearchParams({ token });
+    fonte = new EventSource(`${API_BASE}/api/order/${orderId}/events?${params}`);
+    fonte.addEventListener('status', (e) => {
+      falhas = 0;
+      onStatus(JSON.parse(e.data));
+    });
+    // O EventSource reconecta sozinho; depois de 3 falhas seguidas (ou se
+    // desistir, ex.: resposta de erro), troca pelo polling
+    fonte.onerror = () => {
+      falhas += 1;
+      if (falhas >= 3 || fonte.readyState === EventSource.CLOSED) usarPolling();
+    };
+  } else {
+    usarPolling();
+  }
+
+  return () => {
+    parado = true;
+    if (fonte) fonte.close();
+    clearTimeout(timer);
+  };
+}
+
+// Currículo salvo no pedido, para o criador editar (dados + modelo)
+async function getOrderResume(orderId, token) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/resume`, {
+    headers: orderHeaders(token)
+  });
   if (!res.ok) throw new Error('Pedido não encontrado.');
   return res.json();
 }
 
-// Em produção, o pagamento real é feito pelo Stripe Checkout.
-// Esta função pede ao backend para criar uma sessão e retorna a URL.
-async function createCheckoutSession(orderId) {
+// Salva uma nova versão do currículo no pedido (sem novo pagamento)
+async function updateOrder(orderId, token, payload) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}`, {
+    method: 'PUT',
+    headers: orderHeaders(token, {
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    const error = new Error(err.error || 'Erro ao salvar alterações.');
+    error.fields = err.fields || null;
+    throw error;
+  }
+  return res.json();
+}
+
+async function getPaymentProviders() {
+  const res = await fetch(`${API_BASE}/api/payment-providers`);
+  if (!res.ok) throw new Error('Erro ao carregar formas de pagamento.');
+  return res.json();
+}
+
+// Pede ao backend para iniciar o pagamento no provedor escolhido.
+// Retorna { checkoutUrl } (Stripe / teste) ou { pix: { copiaECola, qrCodeUrl } }.
+// addon: compra um adicional de um pedido já pago (ex.: 'carta')
+async function createCheckoutSession(orderId, token, provider, addon) {
   const res = await fetch(
     `${API_BASE}/api/order/${orderId}/checkout-session`,
     {
-      method: 'POST'
+      method: 'POST',
+      headers: orderHeaders(token, {
+        'Content-Type': 'application/json'
+      }),
+      body: JSON.stringify({ provider, addon })
     }
   );
   if (!res.ok) {
@@ -42,6 +310,324 @@ async function createCheckoutSession(orderId) {
   return res.json();
 }
 
-function downloadPdf(orderId) {
-  window.location.href = `${API_BASE}/api/order/${orderId}/pdf`;
+// Aplica (ou remove, com código vazio) um cupom de desconto no pedido.
+async function applyCoupon(orderId, token, couponCode) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/coupon`, {
+    method: 'POST',
+    headers: orderHeaders(token, {
+      'Content-Type': 'application/json'
+    }),
+    body: JSON.stringify({ couponCode })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao aplicar cupom.');
+  }
+  return data;
+}
+
+// Prévia em PDF (com marca d'água) gerada pelos mesmos modelos do download.
+// Retorna a URL de um Blob para usar em <iframe src>.
+async function previewBlobUrl(res) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || 'Erro ao gerar prévia.');
+  }
+  return URL.createObjectURL(await res.blob());
+}
+
+// Prévia dos dados do formulário (criador), antes de existir o pedido
+async function previewPdf(payload) {
+  const res = await fetch(`${API_BASE}/api/preview`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  return previewBlobUrl(res);
+}
+
+// variantId: prévia de uma versão para vaga (opcional)
+async function getOrderPreview(orderId, token, variantId) {
+  const query = variantId ? `?${new URLSearchParams({ variant: variantId })}` : '';
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/preview${query}`, {
+    headers: orderHeaders(token)
+  });
+  return previewBlobUrl(res);
+}
+
+// Pede um link assinado (válido por poucos minutos) e abre o download.
+// format: 'pdf' | 'docx' (Word) | 'txt' (texto puro)
+// variantId: baixa uma versão para vaga em vez do currículo principal
+// locale: idioma do documento ('en', 'es'...); sem ele, o do pedido
+async function downloadFile(orderId, token, format = 'pdf', variantId, locale) {
+  const params = new URLSearchParams({ format });
+  if (variantId) params.set('variant', variantId);
+  if (locale) params.set('locale', locale);
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/download-link?${params}`, {
+    headers: orderHeaders(token)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao gerar link de download.');
+  }
+  window.location.href = `${API_BASE}${data.url}`;
+}
+
+// ---------- IA ----------
+
+// Descrição de uma experiência -> { sugestoes: [tópicos] } para o cliente
+// revisar. payload: { cargo, empresa, descricao, locale }
+async function improveExperience(payload) {
+  const res = await fetch(`${API_BASE}/api/ia/experiencia`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao melhorar a experiência com IA.');
+  }
+  return data;
+}
+
+// Sugestões da IA para adaptar o currículo a uma vaga.
+// payload: dados do criador (com locale) + { vaga } -> { sugestoes: [textos] }
+async function suggestForJob(payload) {
+  const res = await fetch(`${API_BASE}/api/ia/vaga`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao gerar sugestões com IA.');
+  }
+  return data;
+}
+
+// ---------- VAGAS (comparação e versões do currículo por vaga) ----------
+
+// Dados do criador + { vaga } -> { nota, titulo, palavrasChave, faltando,
+// sugestoes }, calculado sem IA
+async function matchJob(payload) {
+  const res = await fetch(`${API_BASE}/api/job-match`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || 'Erro ao comparar com a vaga.');
+  }
+  return data;
+}
+
+async function variantRequest(orderId, token, caminho, options, mensagem) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/variants${caminho}`, {
+    ...options,
+    headers: orderHeaders(token, options.body ? { 'Content-Type': 'application/json' } : {})
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || mensagem);
+    error.fields = data.fields || null;
+    throw error;
+  }
+  return data;
+}
+
+// Salva uma cópia do currículo para uma vaga.
+// payload: dados do criador + { titulo?, vaga } -> { variant }
+async function createVariant(orderId, token, payload) {
+  return variantRequest(
+    orderId,
+    token,
+    '',
+    { method: 'POST', body: JSON.stringify(payload) },
+    'Erro ao salvar a versão para a vaga.'
+  );
+}
+
+// Versão completa (dados + vaga), para o criador editar
+async function getVariant(orderId, token, variantId) {
+  return variantRequest(orderId, token, `/${variantId}`, {}, 'Versão para vaga não encontrada.');
+}
+
+async function updateVariant(orderId, token, variantId, payload) {
+  return variantRequest(
+    orderId,
+    token,
+    `/${variantId}`,
+    { method: 'PUT', body: JSON.stringify(payload) },
+    'Erro ao salvar a versão para a vaga.'
+  );
+}
+
+async function deleteVariant(orderId, token, variantId) {
+  return variantRequest(
+    orderId,
+    token,
+    `/${variantId}`,
+    { method: 'DELETE' },
+    'Erro ao apagar a versão para a vaga.'
+  );
+}
+
+// ---------- CARTA DE APRESENTAÇÃO ----------
+
+async function coverLetterRequest(orderId, token, caminho, options, mensagem) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/cover-letter${caminho}`, {
+    ...options,
+    headers: orderHeaders(token, options.body ? { 'Content-Type': 'application/json' } : {})
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || mensagem);
+    error.fields = data.fields || null;
+    throw error;
+  }
+  return data;
+}
+
+// Campos salvos, texto sugerido e se a carta já pode ser baixada
+async function getCoverLetter(orderId, token) {
+  return coverLetterRequest(orderId, token, '', {}, 'Erro ao carregar a carta.');
+}
+
+// payload: { empresa, destinatario, cargo, corpo }
+async function saveCoverLetter(orderId, token, payload) {
+  return coverLetterRequest(
+    orderId,
+    token,
+    '',
+    { method: 'PUT', body: JSON.stringify(payload) },
+    'Erro ao salvar a carta.'
+  );
+}
+
+// Texto da carta escrito pela IA: { corpo }
+async function draftCoverLetter(orderId, token, payload) {
+  return coverLetterRequest(
+    orderId,
+    token,
+    '/ia',
+    { method: 'POST', body: JSON.stringify(payload) },
+    'Erro ao escrever a carta com IA.'
+  );
+}
+
+// Prévia (com marca d'água) do que está no formulário, ainda não salvo
+async function coverLetterPreview(orderId, token, payload) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/cover-letter/preview`, {
+    method: 'POST',
+    headers: orderHeaders(token, { 'Content-Type': 'application/json' }),
+    body: JSON.stringify(payload)
+  });
+  return previewBlobUrl(res);
+}
+
+// Como downloadFile: link assinado e depois o download
+async function downloadCoverLetter(orderId, token) {
+  const data = await coverLetterRequest(
+    orderId,
+    token,
+    '/download-link',
+    {},
+    'Erro ao gerar link de download.'
+  );
+  window.location.href = `${API_BASE}${data.url}`;
+}
+
+// ---------- IMPORTAR / EXPORTAR (JSON Resume) ----------
+
+// Lê um arquivo escolhido no criador: JSON Resume (.json) ou PDF com texto
+// (ex.: "Salvar como PDF" do LinkedIn). Retorna { data, origem } com o
+// currículo no formato do formulário; nada é gravado no servidor.
+async function importResume(file) {
+  const ehPdf = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+  let body = file;
+  if (!ehPdf) {
+    try {
+      body = JSON.stringify(JSON.parse(await file.text()));
+    } catch (e) {
+      throw new Error('Arquivo JSON inválido.');
+    }
+  }
+
+  const res = await fetch(`${API_BASE}/api/import`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': ehPdf ? 'application/pdf' : 'application/json'
+    },
+    body
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(
+      res.status === 413 ? 'Arquivo muito grande.' : data.error || 'Erro ao importar o arquivo.'
+    );
+  }
+  return data;
+}
+
+// Foto do currículo (JPEG, PNG ou WebP): volta { photoId, url } já recortada
+async function uploadPhoto(file) {
+  const res = await fetch(`${API_BASE}/api/photo`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream'
+    },
+    body: file
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(
+      res.status === 413 ? 'Foto muito grande.' : data.error || 'Erro ao enviar a foto.'
+    );
+  }
+  return data;
+}
+
+// Dados do formulário -> JSON Resume
+async function exportJsonResume(payload) {
+  const res = await fetch(`${API_BASE}/api/export/json-resume`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+  if (!res.ok) throw new Error('Erro ao exportar o currículo.');
+  return res.json();
+}
+
+// Currículo de um pedido em JSON Resume
+async function getOrderJsonResume(orderId, token) {
+  const res = await fetch(`${API_BASE}/api/order/${orderId}/json-resume`, {
+    headers: orderHeaders(token)
+  });
+  if (!res.ok) throw new Error('Pedido não encontrado.');
+  return res.json();
+}
+
+// Baixa um objeto como arquivo .json (gerado no próprio navegador)
+function saveJsonFile(obj, fileName) {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' })
+  );
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
@@ -0,0 +1,222 @@
+// templates/ats.js - MODELO ATS (texto simples, uma coluna, sem elementos gráficos)
+//
+// Pensado para sistemas de triagem automática (ATS): sem colunas, tabelas,
+// linhas ou cores, títulos de seção padronizados e uma informação por linha.
+// Do tema do pedido, vale só a fonte e a densidade: a cor de destaque é
+// ignorada. Também fica sem foto, de propósito: muitos ATS descartam
+// imagens ou se confundem com elas.
+
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  linkSeguro,
+  cidadeEstado,
+  titulosPorId
+} = require('./helpers');
+const { traduzir } = require('../lib/traducoes');
+const { ordenarSecoes } = require('../lib/layout');
+const { FONTES_PDF } = require('../lib/tema');
+
+// Ordem e títulos das seções (chave em secoes.* de lib/traducoes.js; as
+// exportações DOCX/TXT seguem esta lista)
+const SECOES = [
+  { id: 'objetivo', chave: 'resumo' },
+  { id: 'experiencias', chave: 'experiencias' },
+  { id: 'formacoes', chave: 'formacoes' },
+  { id: 'habilidades', chave: 'habilidades' },
+  { id: 'cursos', chave: 'cursos' },
+  { id: 'idiomas', chave: 'idiomas' },
+  { id: 'secoesPersonalizadas' },
+  { id: 'extras', chave: 'outros' },
+  { id: 'redesSociais', chave: 'redesSociais' }
+];
+
+// Nome e contatos em linhas simples; também usado pela carta de
+// apresentação. Retorna a área de texto abaixo dele.
+function cabecalho(doc, { dadosPessoais }, { locale } = {}) {
+  doc.fillColor('#000000');
+
+  doc
+    .font('titulo')
+    .fontSize(14)
+    .text(dadosPessoais?.nome || traduzir(locale, 'rotulos.nomeProfissional'), { align: 'left' });
+
+  // "Rótulo: valor", uma informação por linha
+  const linha = (chave, valor) => doc.text(`${traduzir(locale, `rotulos.${chave}`)}: ${valor}`);
+  doc.font('texto').fontSize(10);
+  if (dadosPessoais?.email) linha('email', dadosPessoais.email);
+  if (dadosPessoais?.telefone) linha('telefone', dadosPessoais.telefone);
+  if (dadosPessoais?.cidade || dadosPessoais?.estado) {
+    linha('localizacao', cidadeEstado(dadosPessoais));
+  }
+  if (dadosPessoais?.linkedin) linha('linkedin', dadosPessoais.linkedin);
+  if (dadosPessoais?.site) linha('site', dadosPessoais.site);
+
+  doc.moveDown(1);
+
+  return {
+    x: doc.page.margins.left,
+    largura: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    fonte: 'texto',
+    fonteNegrito: 'negrito',
+    cor: '#000000'
+  };
+}
+
+function render(
+  doc,
+  {
+    dadosPessoais,
+    objetivo,
+    experiencias,
+    formacoes,
+    habilidades,
+    idiomas,
+    cursos,
+    redesSociais,
+    extras,
+    secoesPersonalizadas
+  },
+  { locale, layout } = {}
+) {
+  const titulos = titulosPorId(SECOES, locale);
+  cabecalho(doc, { dadosPessoais }, { locale });
+
+  const addSection = (titulo) => {
+    doc.font('titulo').fontSize(11).text(titulo.toUpperCase());
+    doc.moveDown(0.3);
+    doc.font('texto').fontSize(10);
+  };
+
+  // Cada seção se desenha sozinha; a ordem e as seções escondidas vêm do
+  // layout do pedido (lib/layout.js)
+  const desenhar = {
+    objetivo: () => {
+      if (objetivo?.texto) {
+        addSection(titulos.objetivo);
+        doc.text(objetivo.texto);
+        doc.moveDown(1);
+      }
+    },
+
+    experiencias: () => {
+      if (temItens(experiencias)) {
+        addSection(titulos.experiencias);
+        experiencias.forEach((exp) => {
+          if (!exp.cargo && !exp.empresa) return;
+
+          doc.font('negrito').text(exp.cargo || exp.empresa);
+          doc.font('texto');
+          if (exp.cargo && exp.empresa) doc.text(exp.empresa);
+          const periodo = formatarPeriodo(exp.inicio, exp.fim, locale);
+          if (periodo) doc.text(periodo);
+          if (exp.localidade) doc.text(exp.localidade);
+          if (exp.descricao) {
+            doc.moveDown(0.2).text(exp.descricao);
+          }
+          doc.moveDown(0.8);
+        });
+      }
+    },
+
+    formacoes: () => {
+      if (temItens(formacoes)) {
+        addSection(titulos.formacoes);
+        formacoes.forEach((f) => {
+          if (!f.curso && !f.instituicao) return;
+
+          doc.font('negrito').text(f.curso || f.instituicao);
+          doc.font('texto');
+          if (f.curso && f.instituicao) doc.text(f.instituicao);
+          const periodo = formatarPeriodo(f.inicio, f.fim, locale);
+          if (periodo) doc.text(periodo);
+          doc.moveDown(0.6);
+        });
+        doc.moveDown(0.4);
+      }
+    },
+
+    habilidades: () => {
+      if (temItens(habilidades)) {
+        addSection(titulos.habilidades);
+        doc.text(habilidades.join(', '));
+        doc.moveDown(1);
+      }
+    },
+
+    cursos: () => {
+      if (temItens(cursos) && cursos.some((c) => c.nome || c.instituicao)) {
+        addSection(titulos.cursos);
+        cursos.forEach((c) => {
+          if (!c.nome && !c.instituicao) return;
+          doc.text('- ' + linhaCurso(c));
+        });
+        doc.moveDown(1);
+      }
+    },
+
+    idiomas: () => {
+      if (temItens(idiomas) && idiomas.some((i) => i.nome)) {
+        addSection(titulos.idiomas);
+        idiomas.forEach((idioma) => {
+          if (!idioma.nome) return;
+          doc.text('- ' + linhaIdioma(idioma));
+        });
+        doc.moveDown(1);
+      }
+    },
+
+    secoesPersonalizadas: () => {
+      (temItens(secoesPersonalizadas) ? secoesPersonalizadas : []).forEach((secao) => {
+        addSection(secao.titulo);
+        secao.itens.forEach((item) => {
+          doc.font('negrito').text(item.nome);
+          doc.font('texto');
+          const periodo = formatarPeriodo(item.inicio, item.fim, locale);
+          if (periodo) doc.text(periodo);
+          // Endereço completo: o ATS lê o texto, não o link
+          if (item.link) doc.text(item.link, { link: linkSeguro(item.link) });
+          if (item.descricao) doc.moveDown(0.2).text(item.descricao);
+          doc.moveDown(0.6);
+        });
+        doc.moveDown(0.4);
+      });
+    },
+
+    extras: () => {
+      if (temItens(extras)) {
+        addSection(titulos.extras);
+        extras.forEach((extra) => doc.text('- ' + extra));
+        doc.moveDown(1);
+      }
+    },
+
+    redesSociais: () => {
+      if (temItens(redesSociais)) {
+        addSection(titulos.redesSociais);
+        redesSociais.forEach((rede) => {
+          doc.text('- ' + [rede.rede, rede.url].filter(Boolean).join(': '), {
+            link: linkSeguro(rede.url)
+          });
+        });
+        doc.moveDown(1);
+      }
+    }
+  };
+
+  ordenarSecoes(SECOES, layout).forEach(({ id }) => desenhar[id]());
+}
+
+module.exports = {
+  id: 'ats',
+  nome: 'ATS (texto simples)',
+  descricao: 'Uma coluna, sem cores nem linhas: ideal para sistemas de triagem automática.',
+  thumbnail: '/img/templates/ats.svg',
+  secoes: SECOES,
+  fontes: FONTES_PDF.helvetica,
+  suportaFoto: false,
+  cabecalho,
+  render
+};
@@ -0,0 +1,316 @@
+// templates/classico.js - MODELO CLÁSSICO (cabeçalho centralizado, fundo branco)
+
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  linhaRede,
+  urlCurta,
+  linkSeguro,
+  cidadeEstado,
+  titulosPorId
+} = require('./helpers');
+const { traduzir } = require('../lib/traducoes');
+const { ordenarSecoes } = require('../lib/layout');
+const { FONTES_PDF } = require('../lib/tema');
+
+// Ordem e títulos das seções (chave em secoes.* de lib/traducoes.js; as
+// exportações DOCX/TXT seguem esta lista)
+const SECOES = [
+  { id: 'objetivo', chave: 'objetivo' },
+  { id: 'formacoes', chave: 'formacoes' },
+  { id: 'habilidades', chave: 'habilidadesCompetencias' },
+  { id: 'experiencias', chave: 'experiencias' },
+  { id: 'cursos', chave: 'complementar' },
+  { id: 'idiomas', chave: 'idiomas' },
+  { id: 'secoesPersonalizadas' },
+  { id: 'extras', chave: 'outros' },
+  { id: 'redesSociais', chave: 'redesSociais' }
+];
+
+const primaryColor = '#000000';
+const subtleText = '#4B5563';
+const lineColor = '#9CA3AF';
+
+// Cabeçalho (nome e contatos), também usado pela carta de apresentação.
+// Retorna a área de texto abaixo dele. corDestaque (tema do pedido) pinta o
+// nome, os títulos e as linhas.
+function cabecalho(doc, { dadosPessoais }, { locale, corDestaque } = {}) {
+  const nome = dadosPessoais?.nome || traduzir(locale, 'rotulos.nomeProfissional');
+
+  // Cabeçalho centralizado (como na primeira imagem)
+  doc
+    .font('titulo')
+    .fontSize(16)
+    .fillColor(corDestaque || primaryColor)
+    .text(nome, { align: 'center' });
+
+  const linha1 = [];
+  if (dadosPessoais?.cidade || dadosPessoais?.estado) {
+    linha1.push(cidadeEstado(dadosPessoais));
+  }
+  if (dadosPessoais?.email) linha1.push(dadosPessoais.email);
+  if (dadosPessoais?.telefone) linha1.push(dadosPessoais.telefone);
+
+  const linha2 = [];
+  if (dadosPessoais?.linkedin) linha2.push(dadosPessoais.linkedin);
+  if (dadosPessoais?.site) linha2.push(dadosPessoais.site);
+
+  doc.moveDown(0.3);
+  if (linha1.length) {
+    doc
+      .font('texto')
+      .fontSize(9)
+      .fillColor(subtleText)
+      .text(linha1.join(' | '), { align: 'center' });
+  }
+  if (linha2.length) {
+    doc
+      .moveDown(0.15)
+      .fontSize(9)
+      .fillColor(subtleText)
+      .text(linha2.join(' | '), { align: 'center' });
+  }
+
+  doc.moveDown(0.8);
+
+  return {
+    x: doc.page.margins.left,
+    largura: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    fonte: 'texto',
+    fonteNegrito: 'negrito',
+    cor: primaryColor
+  };
+}
+
+function render(
+  doc,
+  {
+    dadosPessoais,
+    objetivo,
+    experiencias,
+    formacoes,
+    habilidades,
+    idiomas,
+    cursos,
+    redesSociais,
+    extras,
+    secoesPersonalizadas
+  },
+  { locale, layout, corDestaque } = {}
+) {
+  const titulos = titulosPorId(SECOES, locale);
+  cabecalho(doc, { dadosPessoais }, { locale, corDestaque });
+
+  const addSection = (titulo) => {
+    doc
+      .font('titulo')
+      .fontSize(11)
+      .fillColor(corDestaque || primaryColor)
+      .text(titulo.toUpperCase() + ':', { align: 'left' });
+    doc.moveDown(0.2);
+    doc
+      .moveTo(doc.page.margins.left, doc.y)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+      .lineWidth(0.5)
+      .strokeColor(corDestaque || lineColor)
+      .stroke();
+    doc.moveDown(0.4);
+    doc.font('texto').fontSize(9).fillColor(primaryColor);
+  };
+
+  // Cada seção se desenha sozinha; a ordem e as seções escondidas vêm do
+  // layout do pedido (lib/layout.js)
+  const desenhar = {
+    // Objetivo
+    objetivo: () => {
+      if (objetivo?.texto) {
+        addSection(titulos.objetivo);
+        doc.text(objetivo.texto, { align: 'justify' });
+        doc.moveDown(0.8);
+      }
+    },
+
+    // Formação acadêmica
+    formacoes: () => {
+      if (temItens(formacoes)) {
+        addSection(titulos.formacoes);
+        formacoes.forEach((f) => {
+          if (!f.curso && !f.instituicao) return;
+
+          const periodo = formatarPeriodo(f.inicio, f.fim, locale);
+
+          doc
+            .font('negrito')
+            .fontSize(9)
+            .text('• ' + (f.curso || ''), { align: 'left' });
+
+          let linha = '';
+          if (f.instituicao) linha += f.instituicao;
+          if (periodo) linha += (linha ? ' — ' : '') + periodo;
+
+          if (linha) {
+            doc
+              .moveDown(0.1)
+              .font('texto')
+              .fontSize(9)
+              .fillColor(subtleText)
+              .text(linha, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          doc.moveDown(0.4);
+        });
+      }
+    },
+
+    // Habilidades e competências
+    habilidades: () => {
+      if (temItens(habilidades)) {
+        addSection(titulos.habilidades);
+        habilidades.forEach((h) => {
+          doc.text('• ' + h, { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // Experiência profissional
+    experiencias: () => {
+      if (temItens(experiencias)) {
+        addSection(titulos.experiencias);
+        experiencias.forEach((exp) => {
+          if (!exp.cargo && !exp.empresa) return;
+
+          const periodo = formatarPeriodo(exp.inicio, exp.fim, locale);
+
+          const tituloLinha = [exp.cargo, exp.empresa].filter(Boolean).join(' - ');
+          if (tituloLinha) {
+            doc
+              .font('negrito')
+              .fontSize(9)
+              .fillColor(primaryColor)
+              .text(tituloLinha, { align: 'left' });
+          }
+
+          const linha2 = [];
+          if (exp.localidade) linha2.push(exp.localidade);
+          if (periodo) linha2.push(periodo);
+
+          if (linha2.length) {
+            doc
+              .moveDown(0.1)
+              .font('texto')
+              .fontSize(9)
+              .fillColor(subtleText)
+              .text(linha2.join(' | '), { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          if (exp.descricao) {
+            doc
+              .moveDown(0.2)
+              .font('texto')
+              .fontSize(9)
+              .text(exp.descricao, { align: 'justify' });
+          }
+
+          doc.moveDown(0.6);
+        });
+      }
+    },
+
+    // Cursos adicionais / informação complementar
+    cursos: () => {
+      if (temItens(cursos)) {
+        addSection(titulos.cursos);
+        cursos.forEach((c) => {
+          if (!c.nome && !c.instituicao) return;
+          doc.text('• ' + linhaCurso(c), { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // Idiomas
+    idiomas: () => {
+      if (temItens(idiomas)) {
+        addSection(titulos.idiomas);
+        idiomas.forEach((idioma) => {
+          if (!idioma.nome) return;
+          doc.text('• ' + linhaIdioma(idioma), { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // Seções personalizadas (projetos, certificações...), com o título do cliente
+    secoesPersonalizadas: () => {
+      (temItens(secoesPersonalizadas) ? secoesPersonalizadas : []).forEach((secao) => {
+        addSection(secao.titulo);
+        secao.itens.forEach((item) => {
+          doc
+            .font('negrito')
+            .fontSize(9)
+            .fillColor(primaryColor)
+            .text('• ' + item.nome, { align: 'left' });
+
+          const periodo = formatarPeriodo(item.inicio, item.fim, locale);
+          doc.font('texto').fontSize(9).fillColor(subtleText);
+          if (periodo) doc.moveDown(0.1).text(periodo, { align: 'left' });
+          if (item.link) {
+            doc.text(urlCurta(item.link), {
+              align: 'left',
+              link: linkSeguro(item.link),
+              underline: true
+            });
+          }
+          doc.fillColor(primaryColor);
+
+          if (item.descricao) {
+            doc.moveDown(0.2).text(item.descricao, { align: 'justify' });
+          }
+          doc.moveDown(0.4);
+        });
+        doc.moveDown(0.2);
+      });
+    },
+
+    // Outras informações
+    extras: () => {
+      if (temItens(extras)) {
+        addSection(titulos.extras);
+        extras.forEach((extra) => {
+          doc.text('• ' + extra, { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // Perfis online (link clicável no PDF)
+    redesSociais: () => {
+      if (temItens(redesSociais)) {
+        addSection(titulos.redesSociais);
+        redesSociais.forEach((rede) => {
+          doc.text('• ' + linhaRede(rede), { align: 'left', link: linkSeguro(rede.url) });
+        });
+        doc.moveDown(0.6);
+      }
+    }
+  };
+
+  ordenarSecoes(SECOES, layout).forEach(({ id }) => desenhar[id]());
+}
+
+module.exports = {
+  id: 'classico',
+  nome: 'Clássico (tradicional)',
+  descricao: 'Cabeçalho centralizado, seções com linha divisória e fundo branco.',
+  thumbnail: '/img/templates/classico.svg',
+  secoes: SECOES,
+  fontes: FONTES_PDF.helvetica,
+  suportaFoto: false,
+  cabecalho,
+  render
+};
@@ -0,0 +1,329 @@
+// templates/executivo.js - MODELO EXECUTIVO (serifado, sóbrio, para cargos sênior)
+
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  linhaRede,
+  urlCurta,
+  linkSeguro,
+  cidadeEstado,
+  titulosPorId
+} = require('./helpers');
+const { traduzir } = require('../lib/traducoes');
+const { ordenarSecoes } = require('../lib/layout');
+const { FONTES_PDF } = require('../lib/tema');
+
+// Ordem e títulos das seções (chave em secoes.* de lib/traducoes.js; as
+// exportações DOCX/TXT seguem esta lista)
+const SECOES = [
+  { id: 'objetivo', chave: 'resumoExecutivo' },
+  { id: 'experiencias', chave: 'trajetoria' },
+  { id: 'formacoes', chave: 'formacoes' },
+  { id: 'habilidades', chave: 'competencias' },
+  { id: 'cursos', chave: 'desenvolvimento' },
+  { id: 'idiomas', chave: 'idiomas' },
+  { id: 'secoesPersonalizadas' },
+  { id: 'extras', chave: 'outros' },
+  { id: 'redesSociais', chave: 'redesSociais' }
+];
+
+const primaryColor = '#0F172A';
+const subtleTextColor = '#475569';
+const accentColor = '#1E3A8A';
+const lineColor = '#CBD5E1';
+
+// Nome, contatos e filete; também usado pela carta de apresentação.
+// Retorna a área de texto abaixo dele. corDestaque (tema do pedido) troca o
+// azul do filete e dos títulos.
+function cabecalho(doc, { dadosPessoais }, { locale, corDestaque } = {}) {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  // Cabeçalho: nome em caixa alta, contatos à direita da mesma faixa
+  doc
+    .font('titulo')
+    .fontSize(22)
+    .fillColor(primaryColor)
+    .text((dadosPessoais?.nome || traduzir(locale, 'rotulos.nomeProfissional')).toUpperCase(), {
+      align: 'left',
+      characterSpacing: 1
+    });
+
+  const contatos = [
+    dadosPessoais?.email,
+    dadosPessoais?.telefone,
+    cidadeEstado(dadosPessoais)
+  ].filter(Boolean);
+  const links = [dadosPessoais?.linkedin, dadosPessoais?.site].filter(Boolean);
+
+  doc.moveDown(0.2).font('texto').fontSize(10).fillColor(subtleTextColor);
+  if (contatos.length) doc.text(contatos.join('   |   '), { align: 'left' });
+  if (links.length) doc.text(links.join('   |   '), { align: 'left' });
+
+  doc.moveDown(0.4);
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(right, doc.y)
+    .lineWidth(2)
+    .strokeColor(corDestaque || accentColor)
+    .stroke();
+  doc.moveDown(0.8);
+
+  return {
+    x: left,
+    largura: right - left,
+    fonte: 'texto',
+    fonteNegrito: 'negrito',
+    cor: primaryColor
+  };
+}
+
+function render(
+  doc,
+  {
+    dadosPessoais,
+    objetivo,
+    experiencias,
+    formacoes,
+    habilidades,
+    idiomas,
+    cursos,
+    redesSociais,
+    extras,
+    secoesPersonalizadas
+  },
+  { locale, layout, corDestaque } = {}
+) {
+  const titulos = titulosPorId(SECOES, locale);
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  cabecalho(doc, { dadosPessoais }, { locale, corDestaque });
+
+  const addSection = (titulo) => {
+    doc
+      .moveDown(0.2)
+      .font('titulo')
+      .fontSize(12)
+      .fillColor(corDestaque || accentColor)
+      .text(titulo.toUpperCase(), { align: 'left', characterSpacing: 0.8 });
+    doc
+      .moveTo(left, doc.y + 1)
+      .lineTo(right, doc.y + 1)
+      .lineWidth(0.5)
+      .strokeColor(lineColor)
+      .stroke();
+    doc.moveDown(0.4);
+    doc.font('texto').fontSize(10.5).fillColor(primaryColor);
+  };
+
+  // Cada seção se desenha sozinha; a ordem e as seções escondidas vêm do
+  // layout do pedido (lib/layout.js)
+  const desenhar = {
+    objetivo: () => {
+      if (objetivo?.texto) {
+        addSection(titulos.objetivo);
+        doc.text(objetivo.texto, { align: 'justify' });
+        doc.moveDown(0.8);
+      }
+    },
+
+    experiencias: () => {
+      if (temItens(experiencias)) {
+        addSection(titulos.experiencias);
+        experiencias.forEach((exp) => {
+          if (!exp.cargo && !exp.empresa) return;
+
+          const periodo = formatarPeriodo(exp.inicio, exp.fim, locale);
+          const topo = doc.y;
+
+          doc
+            .font('negrito')
+            .fontSize(11)
+            .fillColor(primaryColor)
+            .text(exp.cargo || exp.empresa, left, topo, {
+              width: right - left - 120,
+              align: 'left'
+            });
+          const fimTitulo = doc.y;
+
+          if (periodo) {
+            doc
+              .font('italico')
+              .fontSize(10)
+              .fillColor(subtleTextColor)
+              .text(periodo, right - 120, topo, { width: 120, align: 'right' });
+          }
+
+          doc.x = left;
+          doc.y = fimTitulo;
+
+          const empresaLinha = [exp.cargo ? exp.empresa : '', exp.localidade]
+            .filter(Boolean)
+            .join(', ');
+          if (empresaLinha) {
+            doc
+              .font('italico')
+              .fontSize(10.5)
+              .fillColor(subtleTextColor)
+              .text(empresaLinha, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          if (exp.descricao) {
+            doc
+              .moveDown(0.2)
+              .font('texto')
+              .fontSize(10.5)
+              .text(exp.descricao, { align: 'justify' });
+          }
+
+          doc.moveDown(0.7);
+        });
+      }
+    },
+
+    formacoes: () => {
+      if (temItens(formacoes)) {
+        addSection(titulos.formacoes);
+        formacoes.forEach((f) => {
+          if (!f.curso && !f.instituicao) return;
+
+          const linha = [f.curso, f.instituicao].filter(Boolean).join(' — ');
+          const periodo = formatarPeriodo(f.inicio, f.fim, locale);
+
+          doc.font('negrito').fontSize(10.5).text(linha, { align: 'left' });
+          if (periodo) {
+            doc
+              .font('italico')
+              .fontSize(10)
+              .fillColor(subtleTextColor)
+              .text(periodo, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+          doc.moveDown(0.4);
+        });
+        doc.moveDown(0.3);
+      }
+    },
+
+    habilidades: () => {
+      if (temItens(habilidades)) {
+        addSection(titulos.habilidades);
+        doc.text(habilidades.join('  •  '), { align: 'left' });
+        doc.moveDown(0.8);
+      }
+    },
+
+    cursos: () => {
+      if (temItens(cursos) && cursos.some((c) => c.nome || c.instituicao)) {
+        addSection(titulos.cursos);
+        cursos.forEach((c) => {
+          if (!c.nome && !c.instituicao) return;
+          doc.text('• ' + linhaCurso(c), { align: 'left' });
+        });
+        doc.moveDown(0.8);
+      }
+    },
+
+    idiomas: () => {
+      if (temItens(idiomas) && idiomas.some((i) => i.nome)) {
+        addSection(titulos.idiomas);
+        doc.text(
+          idiomas
+            .filter((i) => i.nome)
+            .map(linhaIdioma)
+            .join('  •  '),
+          { align: 'left' }
+        );
+        doc.moveDown(0.8);
+      }
+    },
+
+    secoesPersonalizadas: () => {
+      (temItens(secoesPersonalizadas) ? secoesPersonalizadas : []).forEach((secao) => {
+        addSection(secao.titulo);
+        secao.itens.forEach((item) => {
+          const periodo = formatarPeriodo(item.inicio, item.fim, locale);
+          const topo = doc.y;
+
+          doc
+            .font('negrito')
+            .fontSize(10.5)
+            .fillColor(primaryColor)
+            .text(item.nome, left, topo, { width: right - left - 120, align: 'left' });
+          const fimTitulo = doc.y;
+
+          if (periodo) {
+            doc
+              .font('italico')
+              .fontSize(10)
+              .fillColor(subtleTextColor)
+              .text(periodo, right - 120, topo, { width: 120, align: 'right' });
+          }
+
+          doc.x = left;
+          doc.y = fimTitulo;
+
+          if (item.link) {
+            doc
+              .font('italico')
+              .fontSize(10)
+              .fillColor(subtleTextColor)
+              .text(urlCurta(item.link), {
+                align: 'left',
+                link: linkSeguro(item.link),
+                underline: true
+              })
+              .fillColor(primaryColor);
+          }
+          if (item.descricao) {
+            doc
+              .moveDown(0.2)
+              .font('texto')
+              .fontSize(10.5)
+              .fillColor(primaryColor)
+              .text(item.descricao, { align: 'justify' });
+          }
+          doc.moveDown(0.4);
+        });
+        doc.moveDown(0.3);
+      });
+    },
+
+    extras: () => {
+      if (temItens(extras)) {
+        addSection(titulos.extras);
+        extras.forEach((extra) => doc.text('• ' + extra, { align: 'left' }));
+        doc.moveDown(0.8);
+      }
+    },
+
+    // Perfis online: um por linha, cada um com o seu link
+    redesSociais: () => {
+      if (temItens(redesSociais)) {
+        addSection(titulos.redesSociais);
+        redesSociais.forEach((rede) => {
+          doc.text(linhaRede(rede), { align: 'left', link: linkSeguro(rede.url) });
+        });
+        doc.moveDown(0.8);
+      }
+    }
+  };
+
+  ordenarSecoes(SECOES, layout).forEach(({ id }) => desenhar[id]());
+}
+
+module.exports = {
+  id: 'executivo',
+  nome: 'Executivo (sóbrio)',
+  descricao: 'Tipografia serifada, resumo executivo e datas alinhadas à direita.',
+  thumbnail: '/img/templates/executivo.svg',
+  secoes: SECOES,
+  fontes: FONTES_PDF.times,
+  suportaFoto: false,
+  cabecalho,
+  render
+};
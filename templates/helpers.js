@@ -0,0 +1,73 @@
+// templates/helpers.js - funções comuns aos modelos de PDF
+
+const traducoes = require('../lib/traducoes');
+
+function temItens(lista) {
+  return Array.isArray(lista) && lista.length > 0;
+}
+
+// "01/2020 - Atual", "Jan 2020 - Present", "2018", "" ...
+function formatarPeriodo(inicio, fim, locale) {
+  return traducoes.formatarPeriodo(inicio, fim, locale);
+}
+
+function linhaCurso(c) {
+  return [
+    c.nome || '',
+    c.instituicao || '',
+    c.cargaHoraria ? `${c.cargaHoraria}h` : ''
+  ]
+    .filter(Boolean)
+    .join(' — ');
+}
+
+function linhaIdioma(idioma) {
+  return [idioma.nome, idioma.nivel ? `(${idioma.nivel})` : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+// "https://github.com/ana/" -> "github.com/ana" (texto do link no PDF)
+function urlCurta(url) {
+  return (url || '').replace(/^https?:\/\//i, '').replace(/\/$/, '');
+}
+
+// Destino do link clicável no PDF: só http(s), como a validação do servidor
+// (pedidos antigos ou editados fora do formulário não viram javascript:)
+function linkSeguro(url) {
+  return /^https?:\/\//i.test(url || '') ? url : null;
+}
+
+// "GitHub: github.com/ana" (ou só o endereço, sem o nome da rede)
+function linhaRede(rede) {
+  return [rede.rede, urlCurta(rede.url)].filter(Boolean).join(': ');
+}
+
+function cidadeEstado(dadosPessoais) {
+  return [dadosPessoais?.cidade, dadosPessoais?.estado]
+    .filter(Boolean)
+    .join(' / ');
+}
+
+// [{ id, chave }] -> { objetivo: 'Objetivo', ... } no idioma pedido
+// (chave = título em secoes.* de lib/traducoes.js; sem chave, a seção usa
+// os títulos dados pelo cliente, como as secoesPersonalizadas)
+function titulosPorId(secoes, locale) {
+  return Object.fromEntries(
+    secoes
+      .filter(({ chave }) => chave)
+      .map(({ id, chave }) => [id, traducoes.traduzir(locale, `secoes.${chave}`)])
+  );
+}
+
+module.exports = {
+  temItens,
+  titulosPorId,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  urlCurta,
+  linkSeguro,
+  linhaRede,
+  cidadeEstado
+};
@@ -0,0 +1,69 @@
+// templates/index.js - REGISTRO DE MODELOS DE PDF
+//
+// Cada modelo é um módulo que exporta:
+//   { id, nome, descricao, thumbnail, secoes, fontes, suportaFoto,
+//     cabecalho(doc, dados, { locale, corDestaque, foto }),
+//     render(doc, dados, { locale, layout, corDestaque, foto }), aliases? }
+// secoes: [{ id, chave }] na ordem de leitura; chave é o título da seção no
+// catálogo de lib/traducoes.js (secoes.*), traduzido para o idioma do pedido.
+// { id: 'secoesPersonalizadas' }, sem chave, marca onde entram as seções
+// criadas pelo cliente, cada uma com o título que ele deu.
+// O render desenha as seções na ordem de ordenarSecoes(secoes, layout)
+// (lib/layout.js): o cliente pode reordenar e esconder seções por pedido.
+// fontes: fontes padrão por papel (FONTES_PDF de lib/tema.js). O modelo
+// escreve com font('titulo' | 'texto' | 'negrito' | 'italico'); o tema do
+// pedido pode trocá-las por um par de fontes TTF. corDestaque (ou null)
+// é a cor de destaque do tema.
+// suportaFoto: o modelo tem lugar para a foto do cliente (lib/foto.js); nos
+// outros, lib/pdf.js nem chega a passar a foto.
+// As exportações DOCX/TXT (lib/exportacao.js) usam a mesma ordem e os
+// mesmos títulos do PDF.
+// Para adicionar um layout novo, crie o arquivo nesta pasta e inclua-o em
+// MODELOS abaixo: a rota de PDF e o select do criador passam a enxergá-lo.
+
+const MODELOS = [
+  require('./classico'),
+  require('./moderno'),
+  require('./lateral'),
+  require('./executivo'),
+  require('./ats')
+];
+
+const DEFAULT_TEMPLATE = 'classico';
+
+const porId = new Map();
+MODELOS.forEach((modelo) => {
+  porId.set(modelo.id, modelo);
+  (modelo.aliases || []).forEach((alias) => porId.set(alias, modelo));
+});
+
+// Retorna o modelo pelo id (ou alias legado), ou null se não existir.
+function getTemplate(id) {
+  return porId.get(id) || null;
+}
+
+// Para pedidos já gravados: um id desconhecido cai no modelo padrão.
+function resolveTemplate(id) {
+  return getTemplate(id || DEFAULT_TEMPLATE) || porId.get(DEFAULT_TEMPLATE);
+}
+
+// Lista pública (sem a função de render) usada por GET /api/templates.
+// secoes: ordem padrão do modelo, ponto de partida da ordenação no criador;
+// suportaFoto: o criador avisa quando o modelo não mostra a foto
+function listTemplates() {
+  return MODELOS.map(({ id, nome, descricao, thumbnail, secoes, suportaFoto }) => ({
+    id,
+    nome,
+    descricao,
+    thumbnail,
+    secoes,
+    suportaFoto: Boolean(suportaFoto)
+  }));
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getTemplate,
+  resolveTemplate,
+  listTemplates
+};
@@ -0,0 +1,379 @@
+// templates/lateral.js - MODELO LATERAL (duas colunas, barra lateral escura)
+
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  linhaRede,
+  urlCurta,
+  linkSeguro,
+  cidadeEstado,
+  titulosPorId
+} = require('./helpers');
+const { traduzir } = require('../lib/traducoes');
+const { ordenarSecoes } = require('../lib/layout');
+const { FONTES_PDF } = require('../lib/tema');
+
+// Títulos das seções. Na leitura linear (DOCX/TXT) a coluna principal vem
+// antes das seções da barra lateral (habilidades, idiomas e perfis online,
+// que ficam sempre na barra, qualquer que seja a ordem escolhida).
+const SECOES = [
+  { id: 'objetivo', chave: 'perfil' },
+  { id: 'experiencias', chave: 'experiencias' },
+  { id: 'formacoes', chave: 'formacoes' },
+  { id: 'cursos', chave: 'cursos' },
+  { id: 'secoesPersonalizadas' },
+  { id: 'extras', chave: 'outros' },
+  { id: 'habilidades', chave: 'habilidades' },
+  { id: 'idiomas', chave: 'idiomas' },
+  { id: 'redesSociais', chave: 'redesSociais' }
+];
+
+const SIDEBAR_WIDTH = 180;
+const SIDEBAR_PADDING = 20;
+const MAIN_GAP = 25;
+
+const primaryColor = '#111827';
+const subtleTextColor = '#4B5563';
+const sidebarColor = '#1F2937';
+const sidebarText = '#F9FAFB';
+const sidebarMuted = '#D1D5DB';
+const accentColor = '#6366F1';
+
+const sidebarX = SIDEBAR_PADDING;
+const sidebarInnerWidth = SIDEBAR_WIDTH - SIDEBAR_PADDING * 2;
+const mainX = SIDEBAR_WIDTH + MAIN_GAP;
+// Foto centralizada no alto da barra lateral
+const FOTO_LADO = 110;
+const FOTO_Y = 50;
+
+// Escrita na barra lateral, de cima para baixo, a partir de inicioY. O que
+// não cabe até a margem inferior continua na barra da página seguinte, sem
+// deixar o PDFKit abrir páginas por conta própria (precisa das páginas em
+// memória, bufferPages; ver lib/pdf.js).
+function colunaLateral(doc, corDestaque, inicioY) {
+  let sideY = inicioY;
+  const { start, count } = doc.bufferedPageRange();
+  let pagina = start + count - 1;
+
+  // Passa para a página seguinte (a já aberta pela coluna principal ou uma
+  // nova) se o bloco não couber nesta
+  const reservar = (altura) => {
+    if (sideY + altura <= doc.page.height - doc.page.margins.bottom) return;
+    const { start: inicio, count: total } = doc.bufferedPageRange();
+    pagina += 1;
+    if (pagina < inicio + total) doc.switchToPage(pagina);
+    else doc.addPage();
+    sideY = doc.page.margins.top;
+  };
+
+  const sideTitle = (titulo) => {
+    doc.font('titulo').fontSize(10);
+    // Título junto com a primeira linha da seção
+    reservar(doc.heightOfString(titulo.toUpperCase(), { width: sidebarInnerWidth }) + 20);
+    doc
+      .fillColor(sidebarText)
+      .text(titulo.toUpperCase(), sidebarX, sideY, { width: sidebarInnerWidth });
+    sideY = doc.y + 2;
+    doc
+      .moveTo(sidebarX, sideY)
+      .lineTo(sidebarX + 30, sideY)
+      .lineWidth(1.5)
+      .strokeColor(corDestaque || accentColor)
+      .stroke();
+    sideY += 6;
+  };
+
+  const sideText = (texto, opts = {}) => {
+    doc.font(opts.bold ? 'negrito' : 'texto').fontSize(8.5);
+    reservar(doc.heightOfString(texto, { width: sidebarInnerWidth }));
+    doc
+      .fillColor(opts.muted ? sidebarMuted : sidebarText)
+      .text(texto, sidebarX, sideY, { width: sidebarInnerWidth, link: opts.link || null });
+    sideY = doc.y + 3;
+  };
+
+  const pular = (espaco) => {
+    sideY += espaco;
+  };
+
+  // Volta para a página onde a barra parou (ex.: depois da coluna principal)
+  const retomar = () => doc.switchToPage(pagina);
+
+  return { sideTitle, sideText, pular, retomar };
+}
+
+// Barra lateral com os contatos e nome na coluna principal; também usado
+// pela carta de apresentação. Retorna a área de texto da coluna principal,
+// a barra lateral (para o currículo continuar nela) e fim(), que para de
+// desenhar a barra nas páginas novas. corDestaque (tema do pedido) troca o
+// índigo dos títulos; a foto, se houver, abre a barra lateral.
+function cabecalho(doc, { dadosPessoais }, { locale, corDestaque, foto } = {}) {
+  const mainWidth = doc.page.width - mainX - doc.page.margins.right;
+
+  const desenharBarra = () => {
+    doc.save();
+    doc.rect(0, 0, SIDEBAR_WIDTH, doc.page.height).fill(sidebarColor);
+    doc.restore();
+  };
+
+  // A barra acompanha todas as páginas; o texto principal continua na
+  // coluna da direita quando o PDFKit quebra a página.
+  desenharBarra();
+  doc.on('pageAdded', desenharBarra);
+
+  if (foto) {
+    doc.image(foto, (SIDEBAR_WIDTH - FOTO_LADO) / 2, FOTO_Y, {
+      width: FOTO_LADO,
+      height: FOTO_LADO
+    });
+  }
+  const lateral = colunaLateral(doc, corDestaque, foto ? FOTO_Y + FOTO_LADO + 20 : 60);
+  const contatos = [
+    dadosPessoais?.email,
+    dadosPessoais?.telefone,
+    cidadeEstado(dadosPessoais),
+    dadosPessoais?.linkedin,
+    dadosPessoais?.site
+  ].filter(Boolean);
+
+  if (contatos.length) {
+    lateral.sideTitle(traduzir(locale, 'rotulos.contato'));
+    contatos.forEach((c) => lateral.sideText(c, { muted: true }));
+    lateral.pular(12);
+  }
+
+  doc.x = mainX;
+  doc.y = 60;
+  doc.font('titulo').fontSize(22).fillColor(primaryColor);
+  doc.text(dadosPessoais?.nome || traduzir(locale, 'rotulos.nomeCompleto'), {
+    width: mainWidth,
+    align: 'left'
+  });
+  doc.moveDown(0.6);
+
+  return {
+    x: mainX,
+    largura: mainWidth,
+    fonte: 'texto',
+    fonteNegrito: 'negrito',
+    cor: primaryColor,
+    lateral,
+    fim: () => doc.removeListener('pageAdded', desenharBarra)
+  };
+}
+
+function render(
+  doc,
+  {
+    dadosPessoais,
+    objetivo,
+    experiencias,
+    formacoes,
+    habilidades,
+    idiomas,
+    cursos,
+    redesSociais,
+    extras,
+    secoesPersonalizadas
+  },
+  { locale, layout, corDestaque, foto } = {}
+) {
+  const titulos = titulosPorId(SECOES, locale);
+  const { largura: mainWidth, lateral, fim } = cabecalho(
+    doc,
+    { dadosPessoais },
+    { locale, corDestaque, foto }
+  );
+  const { sideTitle, sideText, pular, retomar } = lateral;
+  const mainY = doc.y;
+
+  // Cada coluna desenha as suas seções na ordem do layout do pedido
+  // (lib/layout.js). A principal vai primeiro: uma barra lateral longa
+  // continua na página seguinte, mas não empurra a coluna principal
+  const ordem = ordenarSecoes(SECOES, layout);
+
+  // ===== COLUNA LATERAL =====
+  const desenharNaLateral = {
+    habilidades: () => {
+      if (temItens(habilidades)) {
+        sideTitle(titulos.habilidades);
+        habilidades.forEach((h) => sideText('• ' + h, { muted: true }));
+        pular(12);
+      }
+    },
+
+    idiomas: () => {
+      if (temItens(idiomas) && idiomas.some((i) => i.nome)) {
+        sideTitle(titulos.idiomas);
+        idiomas.forEach((idioma) => {
+          if (!idioma.nome) return;
+          sideText(linhaIdioma(idioma), { muted: true });
+        });
+        pular(12);
+      }
+    },
+
+    // Perfis online, com link clicável
+    redesSociais: () => {
+      if (temItens(redesSociais)) {
+        sideTitle(titulos.redesSociais);
+        redesSociais.forEach((rede) => {
+          sideText(linhaRede(rede), { muted: true, link: linkSeguro(rede.url) });
+        });
+        pular(12);
+      }
+    }
+  };
+
+  // ===== COLUNA PRINCIPAL =====
+  // Continua logo abaixo do nome, com a fonte dele (o moveDown do primeiro
+  // título depende da fonte atual)
+  doc.x = mainX;
+  doc.y = mainY;
+  doc.font('titulo').fontSize(22);
+
+  const mainText = (texto, opts = {}) => {
+    doc.x = mainX;
+    doc.text(texto, { width: mainWidth, align: 'left', ...opts });
+  };
+
+  const addSectionTitle = (titulo) => {
+    doc.moveDown(0.3).font('titulo').fontSize(11).fillColor(corDestaque || accentColor);
+    mainText(titulo.toUpperCase());
+    doc.moveDown(0.3);
+    doc.font('texto').fontSize(9).fillColor(primaryColor);
+  };
+
+  const desenhar = {
+    objetivo: () => {
+      if (objetivo?.texto) {
+        addSectionTitle(titulos.objetivo);
+        mainText(objetivo.texto, { align: 'justify' });
+        doc.moveDown(0.6);
+      }
+    },
+
+    experiencias: () => {
+      if (temItens(experiencias)) {
+        addSectionTitle(titulos.experiencias);
+        experiencias.forEach((exp) => {
+          if (!exp.cargo && !exp.empresa) return;
+
+          doc.font('negrito').fontSize(10).fillColor(primaryColor);
+          mainText(exp.cargo || exp.empresa);
+
+          const detalhes = [
+            exp.cargo ? exp.empresa : '',
+            formatarPeriodo(exp.inicio, exp.fim, locale),
+            exp.localidade
+          ].filter(Boolean);
+          if (detalhes.length) {
+            doc.moveDown(0.05).font('texto').fontSize(8.5).fillColor(subtleTextColor);
+            mainText(detalhes.join('  ·  '));
+          }
+
+          if (exp.descricao) {
+            doc.moveDown(0.15).font('texto').fontSize(9).fillColor(primaryColor);
+            mainText(exp.descricao, { align: 'justify' });
+          }
+
+          doc.moveDown(0.6);
+        });
+      }
+    },
+
+    formacoes: () => {
+      if (temItens(formacoes)) {
+        addSectionTitle(titulos.formacoes);
+        formacoes.forEach((f) => {
+          if (!f.curso && !f.instituicao) return;
+
+          doc.font('negrito').fontSize(10).fillColor(primaryColor);
+          mainText(f.curso || f.instituicao);
+
+          const detalhes = [
+            f.curso ? f.instituicao : '',
+            formatarPeriodo(f.inicio, f.fim, locale)
+          ].filter(Boolean);
+          if (detalhes.length) {
+            doc.moveDown(0.05).font('texto').fontSize(8.5).fillColor(subtleTextColor);
+            mainText(detalhes.join('  ·  '));
+          }
+
+          doc.moveDown(0.5);
+        });
+      }
+    },
+
+    cursos: () => {
+      if (temItens(cursos) && cursos.some((c) => c.nome || c.instituicao)) {
+        addSectionTitle(titulos.cursos);
+        cursos.forEach((c) => {
+          if (!c.nome && !c.instituicao) return;
+          mainText('• ' + linhaCurso(c));
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // Seções personalizadas, com o título dado pelo cliente
+    secoesPersonalizadas: () => {
+      (temItens(secoesPersonalizadas) ? secoesPersonalizadas : []).forEach((secao) => {
+        addSectionTitle(secao.titulo);
+        secao.itens.forEach((item) => {
+          doc.font('negrito').fontSize(10).fillColor(primaryColor);
+          mainText(item.nome);
+
+          const periodo = formatarPeriodo(item.inicio, item.fim, locale);
+          doc.font('texto').fontSize(8.5).fillColor(subtleTextColor);
+          if (periodo) {
+            doc.moveDown(0.05);
+            mainText(periodo);
+          }
+          if (item.link) {
+            mainText(urlCurta(item.link), { link: linkSeguro(item.link), underline: true });
+          }
+
+          if (item.descricao) {
+            doc.moveDown(0.15).font('texto').fontSize(9).fillColor(primaryColor);
+            mainText(item.descricao, { align: 'justify' });
+          }
+
+          doc.moveDown(0.5);
+        });
+      });
+    },
+
+    extras: () => {
+      if (temItens(extras)) {
+        addSectionTitle(titulos.extras);
+        extras.forEach((extra) => mainText('• ' + extra));
+        doc.moveDown(0.6);
+      }
+    }
+  };
+  ordem.filter(({ id }) => desenhar[id]).forEach(({ id }) => desenhar[id]());
+
+  // Barra lateral por cima das páginas já desenhadas, a partir da primeira;
+  // no fim, volta para a última página
+  retomar();
+  ordem.filter(({ id }) => desenharNaLateral[id]).forEach(({ id }) => desenharNaLateral[id]());
+  const { start, count } = doc.bufferedPageRange();
+  doc.switchToPage(start + count - 1);
+
+  fim();
+}
+
+module.exports = {
+  id: 'lateral',
+  nome: 'Lateral (duas colunas)',
+  descricao: 'Barra lateral escura com contato, habilidades, idiomas e perfis online; conteúdo principal à direita.',
+  thumbnail: '/img/templates/lateral.svg',
+  secoes: SECOES,
+  fontes: FONTES_PDF.helvetica,
+  suportaFoto: true,
+  cabecalho,
+  render
+};
@@ -0,0 +1,380 @@
+// templates/moderno.js - MODELO MODERNO (faixa lateral clara, minimalista)
+
+const {
+  temItens,
+  formatarPeriodo,
+  linhaCurso,
+  linhaIdioma,
+  linhaRede,
+  urlCurta,
+  linkSeguro,
+  cidadeEstado,
+  titulosPorId
+} = require('./helpers');
+const { traduzir } = require('../lib/traducoes');
+const { ordenarSecoes } = require('../lib/layout');
+const { FONTES_PDF, clarear } = require('../lib/tema');
+
+// Ordem e títulos das seções (chave em secoes.* de lib/traducoes.js; as
+// exportações DOCX/TXT seguem esta lista)
+const SECOES = [
+  { id: 'objetivo', chave: 'objetivo' },
+  { id: 'experiencias', chave: 'experiencia' },
+  { id: 'formacoes', chave: 'educacao' },
+  { id: 'habilidades', chave: 'habilidades' },
+  { id: 'cursos', chave: 'cursos' },
+  { id: 'idiomas', chave: 'idiomas' },
+  { id: 'secoesPersonalizadas' },
+  { id: 'extras', chave: 'outros' },
+  { id: 'redesSociais', chave: 'redesSociais' }
+];
+
+// cores inspiradas na segunda imagem
+const primaryColor = '#111827';
+const subtleTextColor = '#4B5563';
+const lineColor = '#E5E7EB';
+const bandColor = '#F5F7EB';
+
+const contentX = 140;
+// Foto no alto da faixa lateral (a faixa tem 120pt)
+const FOTO_X = 15;
+const FOTO_LADO = 90;
+
+// Faixa, nome e contatos; também usado pela carta de apresentação.
+// Retorna a área de texto abaixo dele. Com corDestaque (tema do pedido), a
+// faixa fica num tom claro dessa cor; com foto, ela vai no alto da faixa.
+function cabecalho(doc, { dadosPessoais, objetivo }, { locale, corDestaque, foto } = {}) {
+  // Faixa vertical clara à esquerda
+  doc.rect(0, 0, 120, doc.page.height).fill(corDestaque ? clarear(corDestaque, 0.88) : bandColor);
+  doc.fillColor(primaryColor);
+
+  const startY = 60;
+  if (foto) doc.image(foto, FOTO_X, startY, { width: FOTO_LADO, height: FOTO_LADO });
+
+  doc.x = contentX;
+  doc.y = startY;
+
+  const nome = dadosPessoais?.nome || '';
+  let subTitulo = '';
+
+  if (objetivo?.texto) {
+    const primeiraFrase = objetivo.texto.split(/[.!?]/)[0];
+    subTitulo =
+      primeiraFrase.length > 60
+        ? primeiraFrase.slice(0, 57).trim() + '...'
+        : primeiraFrase.trim();
+  }
+
+  doc
+    .font('titulo')
+    .fontSize(20)
+    .fillColor(primaryColor)
+    .text(nome || traduzir(locale, 'rotulos.nomeCompleto'), { align: 'left' });
+
+  if (subTitulo) {
+    doc
+      .moveDown(0.2)
+      .font('texto')
+      .fontSize(11)
+      .fillColor(subtleTextColor)
+      .text(subTitulo, { align: 'left' });
+  }
+
+  doc.moveDown(0.8);
+
+  // CONTATO
+  const rotulo = (chave) => traduzir(locale, `rotulos.${chave}`);
+  const contatos = [];
+  if (dadosPessoais?.email) contatos.push(`${rotulo('email')}: ${dadosPessoais.email}`);
+  if (dadosPessoais?.telefone) {
+    contatos.push(`${rotulo('telefone')}: ${dadosPessoais.telefone}`);
+  }
+  if (dadosPessoais?.cidade || dadosPessoais?.estado) {
+    contatos.push(`${rotulo('endereco')}: ${cidadeEstado(dadosPessoais)}`);
+  }
+
+  if (contatos.length) {
+    doc
+      .font('titulo')
+      .fontSize(10)
+      .fillColor(corDestaque || primaryColor)
+      .text(rotulo('contato').toUpperCase(), { align: 'left' });
+
+    doc.moveDown(0.2);
+    doc.font('texto').fontSize(9).fillColor(subtleTextColor);
+    contatos.forEach((c) => doc.text(c, { align: 'left' }));
+
+    if (dadosPessoais?.linkedin || dadosPessoais?.site) {
+      const links = [dadosPessoais.linkedin, dadosPessoais.site]
+        .filter(Boolean)
+        .join('  ·  ');
+      if (links) {
+        doc.moveDown(0.1).text(links, { align: 'left' });
+      }
+    }
+
+    doc.moveDown(0.8);
+  }
+
+  return {
+    x: contentX,
+    largura: doc.page.width - contentX - doc.page.margins.right,
+    fonte: 'texto',
+    fonteNegrito: 'negrito',
+    cor: primaryColor
+  };
+}
+
+function render(
+  doc,
+  {
+    dadosPessoais,
+    objetivo,
+    experiencias,
+    formacoes,
+    habilidades,
+    idiomas,
+    cursos,
+    redesSociais,
+    extras,
+    secoesPersonalizadas
+  },
+  { locale, layout, corDestaque, foto } = {}
+) {
+  const titulos = titulosPorId(SECOES, locale);
+  const ordem = ordenarSecoes(SECOES, layout);
+  // O subtítulo sai do objetivo: com a seção escondida, fica sem ele
+  const objetivoVisivel = ordem.some(({ id }) => id === 'objetivo');
+  cabecalho(
+    doc,
+    { dadosPessoais, objetivo: objetivoVisivel ? objetivo : null },
+    { locale, corDestaque, foto }
+  );
+
+  const addSectionTitle = (title) => {
+    doc
+      .moveDown(0.3)
+      .font('titulo')
+      .fontSize(11)
+      .fillColor(corDestaque || primaryColor)
+      .text(title.toUpperCase(), { align: 'left' });
+
+    doc
+      .moveDown(0.15)
+      .moveTo(contentX, doc.y)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+      .lineWidth(0.7)
+      .strokeColor(corDestaque ? clarear(corDestaque, 0.7) : lineColor)
+      .stroke();
+
+    doc.moveDown(0.3);
+    doc.font('texto').fontSize(9).fillColor(primaryColor);
+  };
+
+  // Cada seção se desenha sozinha; a ordem e as seções escondidas vêm do
+  // layout do pedido (lib/layout.js)
+  const desenhar = {
+    // OBJETIVO
+    objetivo: () => {
+      if (objetivo?.texto) {
+        addSectionTitle(titulos.objetivo);
+        doc.text(objetivo.texto, { align: 'left' });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // EXPERIÊNCIA
+    experiencias: () => {
+      if (temItens(experiencias)) {
+        addSectionTitle(titulos.experiencias);
+        experiencias.forEach((exp) => {
+          if (!exp.cargo && !exp.empresa) return;
+
+          const periodo = formatarPeriodo(exp.inicio, exp.fim, locale);
+
+          doc
+            .font('negrito')
+            .fontSize(10)
+            .text(exp.cargo || '', { align: 'left' });
+
+          if (exp.empresa) {
+            doc
+              .moveDown(0.1)
+              .font('texto')
+              .fontSize(9)
+              .fillColor(subtleTextColor)
+              .text(exp.empresa, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          if (periodo || exp.localidade) {
+            const linha = [periodo, exp.localidade].filter(Boolean).join('  ·  ');
+            doc
+              .moveDown(0.05)
+              .font('texto')
+              .fontSize(8)
+              .fillColor(subtleTextColor)
+              .text(linha, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          if (exp.descricao) {
+            doc
+              .moveDown(0.15)
+              .font('texto')
+              .fontSize(9)
+              .text(exp.descricao, { align: 'left' });
+          }
+
+          doc.moveDown(0.6);
+        });
+      }
+    },
+
+    // EDUCAÇÃO (Formação)
+    formacoes: () => {
+      if (temItens(formacoes)) {
+        addSectionTitle(titulos.formacoes);
+        formacoes.forEach((f) => {
+          if (!f.curso && !f.instituicao) return;
+
+          const periodo = formatarPeriodo(f.inicio, f.fim, locale);
+
+          doc
+            .font('negrito')
+            .fontSize(10)
+            .text(f.curso || '', { align: 'left' });
+
+          if (f.instituicao) {
+            doc
+              .moveDown(0.1)
+              .font('texto')
+              .fontSize(9)
+              .fillColor(subtleTextColor)
+              .text(f.instituicao, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          if (periodo) {
+            doc
+              .moveDown(0.05)
+              .font('texto')
+              .fontSize(8)
+              .fillColor(subtleTextColor)
+              .text(periodo, { align: 'left' })
+              .fillColor(primaryColor);
+          }
+
+          doc.moveDown(0.6);
+        });
+      }
+    },
+
+    // HABILIDADES
+    habilidades: () => {
+      if (temItens(habilidades)) {
+        addSectionTitle(titulos.habilidades);
+        habilidades.forEach((h) => {
+          doc.text('• ' + h, { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // CURSOS
+    cursos: () => {
+      if (temItens(cursos)) {
+        addSectionTitle(titulos.cursos);
+        cursos.forEach((c) => {
+          if (!c.nome && !c.instituicao) return;
+          doc.text('• ' + linhaCurso(c), { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // IDIOMAS
+    idiomas: () => {
+      if (temItens(idiomas)) {
+        addSectionTitle(titulos.idiomas);
+        idiomas.forEach((idioma) => {
+          if (!idioma.nome) return;
+          doc.text('• ' + linhaIdioma(idioma), { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // SEÇÕES PERSONALIZADAS (título dado pelo cliente)
+    secoesPersonalizadas: () => {
+      (temItens(secoesPersonalizadas) ? secoesPersonalizadas : []).forEach((secao) => {
+        addSectionTitle(secao.titulo);
+        secao.itens.forEach((item) => {
+          doc
+            .font('negrito')
+            .fontSize(10)
+            .text(item.nome, { align: 'left' });
+
+          const periodo = formatarPeriodo(item.inicio, item.fim, locale);
+          doc.font('texto').fontSize(8).fillColor(subtleTextColor);
+          if (periodo) doc.moveDown(0.05).text(periodo, { align: 'left' });
+          if (item.link) {
+            doc.text(urlCurta(item.link), {
+              align: 'left',
+              link: linkSeguro(item.link),
+              underline: true
+            });
+          }
+          doc.fillColor(primaryColor);
+
+          if (item.descricao) {
+            doc
+              .moveDown(0.15)
+              .font('texto')
+              .fontSize(9)
+              .text(item.descricao, { align: 'left' });
+          }
+
+          doc.moveDown(0.6);
+        });
+      });
+    },
+
+    // OUTRAS INFORMAÇÕES
+    extras: () => {
+      if (temItens(extras)) {
+        addSectionTitle(titulos.extras);
+        extras.forEach((extra) => {
+          doc.text('• ' + extra, { align: 'left' });
+        });
+        doc.moveDown(0.6);
+      }
+    },
+
+    // PERFIS ONLINE (link clicável)
+    redesSociais: () => {
+      if (temItens(redesSociais)) {
+        addSectionTitle(titulos.redesSociais);
+        redesSociais.forEach((rede) => {
+          doc.text(linhaRede(rede), { align: 'left', link: linkSeguro(rede.url) });
+        });
+        doc.moveDown(0.6);
+      }
+    }
+  };
+
+  ordem.forEach(({ id }) => desenhar[id]());
+}
+
+module.exports = {
+  id: 'moderno',
+  nome: 'Moderno (minimalista)',
+  descricao: 'Faixa lateral clara, nome em destaque e seções com linhas sutis.',
+  thumbnail: '/img/templates/moderno.svg',
+  aliases: ['escuro'],
+  secoes: SECOES,
+  fontes: FONTES_PDF.helvetica,
+  suportaFoto: true,
+  cabecalho,
+  render
+};